@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/*
+ * moleculer-repl
+ * Copyright (c) 2018 MoleculerJS (https://github.com/moleculerjs/moleculer-repl)
+ * MIT Licensed
+ */
+
+"use strict";
+
+const kleur 			= require("kleur");
+const { connect } 		= require("../src/remote");
+
+/**
+ * Usage:
+ * 	moleculer-repl-client <port | host:port | socket path> [--secret <secret>]
+ *
+ * The secret can be set in the `MOLECULER_REPL_SECRET` environment variable as well.
+ */
+const args = process.argv.slice(2);
+const opts = { secret: process.env.MOLECULER_REPL_SECRET };
+
+for (let i = 0; i < args.length; i++) {
+	if (args[i] == "--secret") {
+		opts.secret = args[++i];
+	} else if (/^\d+$/.test(args[i])) {
+		opts.port = Number(args[i]);
+	} else if (/^[^/\\]+:\d+$/.test(args[i])) {
+		const idx = args[i].lastIndexOf(":");
+		opts.host = args[i].substring(0, idx);
+		opts.port = Number(args[i].substring(idx + 1));
+	} else {
+		opts.path = args[i];
+	}
+}
+
+if (opts.port == null && opts.path == null) {
+	console.error("Usage: moleculer-repl-client <port | host:port | socket path> [--secret <secret>]");
+	process.exit(1);
+}
+
+connect(opts).catch(err => {
+	console.error(kleur.red().bold(">> Unable to connect:"), err.message);
+	process.exit(1);
+});
@@ -4,7 +4,7 @@ const kleur 							= require("kleur");
 const _ 								= require("lodash");
 const { table, getBorderCharacters } 	= require("table");
 
-const { match, CIRCUIT_CLOSE, CIRCUIT_HALF_OPEN, CIRCUIT_OPEN } = require("../utils");
+const { match, formatRows, validateFormat, printOutput, OUTPUT_FORMATS, CIRCUIT_CLOSE, CIRCUIT_HALF_OPEN, CIRCUIT_OPEN } = require("../utils");
 
 module.exports = function(vorpal, broker) {
 	// List actions
@@ -16,6 +16,9 @@ module.exports = function(vorpal, broker) {
 		.option("-f, --filter <match>", "filter actions (e.g.: 'users.*')")
 		.option("-i, --skipinternal", "skip internal actions")
 		.option("-l, --local", "only local actions")
+		.option("--format <format>", "output format (table, json, csv, yaml)", OUTPUT_FORMATS)
+		.option("--out <filename>", "save output to a file")
+		.validate(validateFormat)
 		.action((args, done) => {
 			const actions = broker.registry.getActionList({ onlyLocal: args.options.local, onlyAvailable: !args.options.all, skipInternal: args.options.skipinternal, withEndpoints: args.options.details });
 
@@ -30,6 +33,7 @@ module.exports = function(vorpal, broker) {
 			];
 
 			let hLines = [];
+			let rows = [];
 
 			actions.sort((a, b) => a.name.localeCompare(b.name));
 
@@ -50,6 +54,16 @@ module.exports = function(vorpal, broker) {
 					hLines.push(data.length);
 				lastServiceName = serviceName;
 
+				const row = {
+					name: item.name,
+					nodes: item.count,
+					local: item.hasLocal,
+					available: state,
+					cached: !!(action && action.cache),
+					params: action && action.params ? Object.keys(action.params) : []
+				};
+				rows.push(row);
+
 				if (action) {
 					data.push([
 						action.name,
@@ -79,6 +93,7 @@ module.exports = function(vorpal, broker) {
 				};
 
 				if (args.options.details && item.endpoints) {
+					row.endpoints = item.endpoints.map(endpoint => ({ nodeID: endpoint.nodeID, state: endpoint.state }));
 					item.endpoints.forEach(endpoint => {
 						data.push([
 							"",
@@ -102,7 +117,8 @@ module.exports = function(vorpal, broker) {
 				drawHorizontalLine: (index, count) => index == 0 || index == 1 || index == count || hLines.indexOf(index) !== -1
 			};
 
-			console.log(table(data, tableConf));
+			const format = args.options.format || "table";
+			printOutput(format == "table" ? table(data, tableConf) : formatRows(rows, format), args.options.out);
 			done();
 		});
 };
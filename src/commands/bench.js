@@ -1,14 +1,39 @@
 "use strict";
 
-const kleur 			= require("kleur");
-const humanize 			= require("tiny-human-time").short;
-const ora 				= require("ora");
-const _ 				= require("lodash");
-const { formatNumber } 	= require("../utils");
+const fs 								= require("fs");
+const path 								= require("path");
+const kleur 							= require("kleur");
+const humanize 							= require("tiny-human-time").short;
+const ora 								= require("ora");
+const _ 								= require("lodash");
+const { table, getBorderCharacters } 	= require("table");
+const { formatNumber } 					= require("../utils");
+const scenarios 						= require("../scenario");
+const variables 						= require("../variables");
+const output 							= require("../output");
+
+const PERCENTILES = [50, 90, 95, 99];
+const HISTOGRAM_BUCKETS = 10;
+const HISTOGRAM_WIDTH = 40;
+
+// Allowed regression in percent (for `errors` in percentage points)
+const DEFAULT_THRESHOLDS = { rps: 20, p99: 20 };
+
+const COMPARE_METRICS = [
+	{ key: "rps", name: "Requests/sec", get: res => res.rps, format: formatNumber, higherIsBetter: true },
+	{ key: "avg", name: "Latency avg", get: res => res.latency.avg, format: humanize },
+	{ key: "min", name: "Latency min", get: res => res.latency.min, format: humanize },
+	{ key: "max", name: "Latency max", get: res => res.latency.max, format: humanize }
+].concat(PERCENTILES.map(p => ({
+	key: "p" + p, name: "Latency p" + p, get: res => res.latency.percentiles["p" + p], format: humanize
+}))).concat([
+	{ key: "errors", name: "Error rate", get: res => res.count > 0 ? res.errorCount / res.count * 100 : 0, format: value => formatNumber(value) + "%", absolute: true }
+]);
 
 function createSpinner(text) {
 	return ora({
 		text,
+		stream: output.getStream(process.stderr),
 		spinner: {
 			interval: 500,
 			frames: [
@@ -23,11 +48,333 @@ function createSpinner(text) {
 	});
 }
 
+/**
+ * Create a latency & error collector.
+ *
+ * @returns {Object}
+ */
+function createStats() {
+	return {
+		latencies: [],
+		count: 0,
+		errorCount: 0,
+		errors: {},
+
+		add(duration, err) {
+			this.count++;
+			this.latencies.push(duration);
+			if (err) {
+				this.errorCount++;
+				const type = err.name || err.type || "Error";
+				this.errors[type] = (this.errors[type] || 0) + 1;
+			}
+		}
+	};
+}
+
+/**
+ * Calculate the result of a benchmark from the collected stats.
+ *
+ * @param {Object} stats
+ * @param {Number} duration Total duration in milliseconds
+ * @returns {Object}
+ */
+function calculateResult(stats, duration) {
+	const sorted = stats.latencies.slice().sort((a, b) => a - b);
+	const percentile = p => sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.max(Math.ceil(p / 100 * sorted.length) - 1, 0))] : 0;
+
+	return {
+		count: stats.count,
+		duration,
+		rps: duration > 0 ? stats.count / duration * 1000 : 0,
+		errorCount: stats.errorCount,
+		errors: stats.errors,
+		latency: {
+			avg: sorted.length > 0 ? _.sum(sorted) / sorted.length : 0,
+			min: sorted.length > 0 ? sorted[0] : 0,
+			max: sorted.length > 0 ? sorted[sorted.length - 1] : 0,
+			percentiles: _.fromPairs(PERCENTILES.map(p => ["p" + p, percentile(p)]))
+		},
+		histogram: createHistogram(sorted)
+	};
+}
+
+/**
+ * Create a linear histogram from the sorted latencies.
+ *
+ * @param {Array<Number>} sorted
+ * @returns {Array<Object>} Buckets with `from` (lower bound), `le` (upper bound) & `count`.
+ */
+function createHistogram(sorted) {
+	if (sorted.length == 0)
+		return [];
+
+	const min = sorted[0];
+	const max = sorted[sorted.length - 1];
+	const size = (max - min) / HISTOGRAM_BUCKETS || 1;
+	const buckets = _.times(HISTOGRAM_BUCKETS, i => ({ from: min + size * i, le: min + size * (i + 1), count: 0 }));
+
+	sorted.forEach(value => {
+		const idx = Math.min(Math.floor((value - min) / size), HISTOGRAM_BUCKETS - 1);
+		buckets[idx].count++;
+	});
+
+	return buckets;
+}
+
+/**
+ * Get the range labels of the histogram buckets in milliseconds. The bounds are printed
+ * with as many decimals as the bucket size requires, so the labels are all different.
+ *
+ * @param {Array<Object>} buckets
+ * @returns {Array<String>}
+ */
+function getHistogramLabels(buckets) {
+	const size = buckets[0].le - buckets[0].from;
+	const decimals = _.clamp(Math.ceil(-Math.log10(size)), 0, 6);
+	return buckets.map(bucket => `${bucket.from.toFixed(decimals)} - ${bucket.le.toFixed(decimals)}ms`);
+}
+
+/**
+ * Print the result of a benchmark.
+ *
+ * @param {Object} result
+ */
+function printResult(result) {
+	const errStr = result.errorCount > 0 ? kleur.red().bold(`${formatNumber(result.errorCount)} error(s) ${formatNumber(result.errorCount / result.count * 100)}%`) : kleur.grey("0 error");
+
+	console.log(kleur.green().bold("\nBenchmark result:\n"));
+	console.log(kleur.bold(`  ${formatNumber(result.count)} requests in ${humanize(result.duration)}, ${errStr}`));
+	console.log("\n  Requests/sec:", kleur.bold(formatNumber(result.rps)));
+	console.log("\n  Latency:");
+	console.log("    Avg:", kleur.bold(_.padStart(humanize(result.latency.avg), 10)));
+	console.log("    Min:", kleur.bold(_.padStart(humanize(result.latency.min), 10)));
+	console.log("    Max:", kleur.bold(_.padStart(humanize(result.latency.max), 10)));
+
+	console.log("\n  Percentiles:");
+	_.forIn(result.latency.percentiles, (value, key) => {
+		console.log(`    ${_.padEnd(key + ":", 4)}`, kleur.bold(_.padStart(humanize(value), 10)));
+	});
+
+	if (result.histogram.length > 0) {
+		const maxCount = _.max(result.histogram.map(bucket => bucket.count));
+		const labels = getHistogramLabels(result.histogram);
+		const labelWidth = _.max(labels.map(label => label.length));
+		console.log("\n  Histogram:");
+		result.histogram.forEach((bucket, i) => {
+			const len = maxCount > 0 ? Math.round(bucket.count / maxCount * HISTOGRAM_WIDTH) : 0;
+			console.log(`    ${_.padStart(labels[i], labelWidth)} | ${kleur.green("■".repeat(len))} ${kleur.gray(formatNumber(bucket.count))}`);
+		});
+	}
+
+	if (result.errorCount > 0) {
+		console.log("\n  Errors:");
+		_.forIn(result.errors, (count, type) => {
+			console.log(`    ${_.padEnd(type + ":", 30)}`, kleur.red().bold(_.padStart(formatNumber(count), 10)));
+		});
+	}
+
+	console.log();
+}
+
+/**
+ * Print the result of the scenario actions.
+ *
+ * @param {Object} scenario
+ * @param {Object} results
+ */
+function printScenarioResult(scenario, results) {
+	const data = [
+		[
+			kleur.bold("Action"),
+			kleur.bold("Weight"),
+			kleur.bold("Requests"),
+			kleur.bold("Req/sec"),
+			kleur.bold("Errors"),
+			kleur.bold("Avg"),
+			kleur.bold("p50"),
+			kleur.bold("p95"),
+			kleur.bold("p99"),
+			kleur.bold("Max")
+		]
+	];
+
+	scenario.items.forEach(item => {
+		const res = results[item.name];
+		data.push([
+			item.name,
+			formatNumber(item.weight / scenario.totalWeight * 100) + "%",
+			formatNumber(res.count),
+			formatNumber(res.rps),
+			res.errorCount > 0 ? kleur.red().bold(formatNumber(res.errorCount)) : kleur.gray("0"),
+			humanize(res.latency.avg),
+			humanize(res.latency.percentiles.p50),
+			humanize(res.latency.percentiles.p95),
+			humanize(res.latency.percentiles.p99),
+			humanize(res.latency.max)
+		]);
+	});
+
+	const tableConf = {
+		border: _.mapValues(getBorderCharacters("honeywell"), char => kleur.gray(char)),
+		columns: _.fromPairs(_.range(1, 10).map(i => [i, { alignment: "right" }])),
+		drawHorizontalLine: (index, count) => index == 0 || index == 1 || index == count
+	};
+
+	console.log(kleur.yellow().bold(">> Actions:"));
+	console.log(table(data, tableConf));
+}
+
+/**
+ * Parse the thresholds option.
+ * E.g.: `"p99:20,rps:10"` => `{ p99: 20, rps: 10 }`
+ *
+ * @param {String} str
+ * @returns {Object}
+ */
+function parseThresholds(str) {
+	return _.fromPairs(str.split(",").map(s => s.trim()).filter(Boolean).map(s => {
+		const [key, value] = s.split(":");
+		return [key.trim(), Number(value)];
+	}));
+}
+
+/**
+ * Vorpal validator for the baseline options.
+ *
+ * @param {Object} args
+ * @returns {Boolean|String}
+ */
+function validateOptions(args) {
+	if (!args.action && !args.options.scenario)
+		return kleur.red("Missing action name or --scenario option.");
+
+	if (args.options.threshold != null) {
+		if (!_.isString(args.options.threshold))
+			return kleur.red("Missing thresholds. E.g.: --threshold p99:20,rps:10");
+
+		if (args.options.compare == null)
+			return kleur.red("The --threshold option can be used only with --compare.");
+
+		const thresholds = parseThresholds(args.options.threshold);
+		const keys = COMPARE_METRICS.map(metric => metric.key);
+		const invalid = Object.keys(thresholds).find(key => keys.indexOf(key) == -1 || isNaN(thresholds[key]));
+		if (invalid)
+			return kleur.red(`Invalid threshold '${invalid}'. Available metrics: ${keys.join(", ")}`);
+	}
+
+	if (args.options.compare != null && !fs.existsSync(path.resolve(String(args.options.compare))))
+		return kleur.red(`Baseline file not found: ${path.resolve(String(args.options.compare))}`);
+
+	return true;
+}
+
+/**
+ * Compare the result with a baseline result.
+ *
+ * @param {Object} baseline
+ * @param {Object} result
+ * @param {Object} thresholds
+ * @returns {Array<Object>}
+ */
+function compareResult(baseline, result, thresholds) {
+	return COMPARE_METRICS.map(metric => {
+		const prev = metric.get(baseline);
+		const curr = metric.get(result);
+
+		let delta;
+		if (metric.absolute)
+			delta = curr - prev;
+		else if (prev > 0)
+			delta = (curr - prev) / prev * 100;
+		else
+			delta = curr > 0 ? Infinity : 0;
+
+		// Positive value means a regression
+		const regression = metric.higherIsBetter ? -delta : delta;
+		const threshold = thresholds[metric.key];
+
+		return {
+			metric,
+			prev,
+			curr,
+			delta,
+			regression,
+			threshold,
+			exceeded: threshold != null && regression > threshold
+		};
+	});
+}
+
+/**
+ * Format the delta of a compared metric. The delta of the error rate
+ * is in percentage points.
+ *
+ * @param {Object} item
+ * @returns {String}
+ */
+function formatDelta(item) {
+	if (!Number.isFinite(item.delta))
+		return "+∞";
+
+	return (item.delta > 0 ? "+" : "") + formatNumber(item.delta) + (item.metric.absolute ? "pp" : "%");
+}
+
+/**
+ * Print the comparison of a result with a baseline.
+ *
+ * @param {Array<Object>} items
+ * @param {Object} baseline
+ */
+function printComparison(items, baseline) {
+	const data = [
+		[
+			kleur.bold("Metric"),
+			kleur.bold("Baseline"),
+			kleur.bold("Current"),
+			kleur.bold("Delta"),
+			kleur.bold("Threshold")
+		]
+	];
+
+	items.forEach(item => {
+		let deltaStr = formatDelta(item);
+		if (item.exceeded)
+			deltaStr = kleur.red().bold(deltaStr + " ✖");
+		else if (item.regression > 0)
+			deltaStr = kleur.red(deltaStr);
+		else if (item.regression < 0)
+			deltaStr = kleur.green(deltaStr);
+
+		data.push([
+			item.metric.name,
+			item.metric.format(item.prev),
+			item.metric.format(item.curr),
+			deltaStr,
+			item.threshold != null ? (item.metric.higherIsBetter ? "-" : "+") + item.threshold + (item.metric.absolute ? "pp" : "%") : kleur.gray("-")
+		]);
+	});
+
+	const tableConf = {
+		border: _.mapValues(getBorderCharacters("honeywell"), char => kleur.gray(char)),
+		columns: {
+			1: { alignment: "right" },
+			2: { alignment: "right" },
+			3: { alignment: "right" },
+			4: { alignment: "right" }
+		},
+		drawHorizontalLine: (index, count) => index == 0 || index == 1 || index == count
+	};
+
+	console.log(kleur.yellow().bold(`>> Comparison with the baseline of ${baseline.createdAt || "unknown date"}:`));
+	console.log(table(data, tableConf));
+}
+
 module.exports = function(vorpal, broker) {
 // Register benchmark
 	vorpal
 		.removeIfExist("bench")
-		.command("bench <action> [jsonParams] [meta]", "Benchmark a service")
+		.command("bench [action] [jsonParams] [meta]", "Benchmark a service")
 		.autocomplete({
 			data() {
 				return _.uniq(_.compact(broker.registry.getActionList({}).map(item => item && item.action ? item.action.name: null)));
@@ -36,121 +383,224 @@ module.exports = function(vorpal, broker) {
 		.option("--num <number>", "Number of iterates")
 		.option("--time <seconds>", "Time of bench")
 		.option("--nodeID <nodeID>", "NodeID (direct call)")
+		.option("--concurrency <number>", "Number of concurrent requests")
+		.option("--warmup <seconds>", "Time of warmup phase (excluded from the result)")
+		.option("--scenario <filename>", "Run a scenario with a weighted mix of actions (JSON or JS file)")
+		.option("--save-baseline <filename>", "Save the result as a baseline to a JSON file")
+		.option("--compare <filename>", "Compare the result with a saved baseline")
+		.option("--threshold <thresholds>", `Allowed regressions in percent for --compare (default: ${_.map(DEFAULT_THRESHOLDS, (v, k) => k + ":" + v).join(",")})`)
+		.validate(validateOptions)
 		//.allowUnknownOptions()
 		.action((args, done) => {
 			let payload;
+
+			// Interpolate the session variables in the option values
+			try {
+				args.options = variables.interpolate(args.options);
+			} catch(err) {
+				return done(kleur.red().bold(">> " + err.message));
+			}
+
 			const iterate = args.options.num != null ? Number(args.options.num) : null;
 			let time = args.options.time != null ? Number(args.options.time) : null;
 			if (!iterate && !time)
 				time = 5;
+			const concurrency = Math.max(Number(args.options.concurrency) || 1, 1);
+			const warmup = args.options.warmup != null ? Number(args.options.warmup) : 0;
 
 			const spinner = createSpinner("Running benchmark...");
 
 			//console.log(args);
 			if (typeof(args.jsonParams) == "string") {
 				try {
-					payload = JSON.parse(args.jsonParams);
+					payload = variables.parseJSON(args.jsonParams);
 				} catch(err) {
-					console.error(kleur.red().bold(">> ERROR:", err.message, args.jsonParams));
-					console.error(kleur.red().bold(err.stack));
-					done();
-					return;
+					return done(kleur.red().bold(">> Can't parse the params: " + err.message));
 				}
 			}
 
 			let meta;
 			if (typeof(args.meta) === "string") {
 				try {
-					meta = JSON.parse(args.meta);
+					meta = variables.parseJSON(args.meta);
 				} catch(err) {
-					console.error(kleur.red().bold("Can't parse [meta]"), args.meta);
+					console.error(kleur.red().bold("Can't parse [meta]"), args.meta, kleur.red(err.message));
 				}
 			}
 
-			const callingOpts = { meta };
+			let scenario;
+			try {
+				if (args.options.scenario)
+					scenario = scenarios.loadScenario(args.options.scenario);
+				else
+					scenario = scenarios.createScenario({ name: args.action, actions: [{ action: args.action, params: () => payload, meta }] });
+			} catch(err) {
+				return done(kleur.red().bold(">> Can't load the scenario: " + err.message));
+			}
+
+			let baseline;
+			if (args.options.compare) {
+				try {
+					baseline = JSON.parse(fs.readFileSync(path.resolve(args.options.compare), "utf8"));
+				} catch(err) {
+					return done(kleur.red().bold(">> Can't read the baseline file: " + err.message));
+				}
 
-			if (args.options.nodeID)
-				callingOpts.nodeID = args.options.nodeID;
+				if (baseline.action != scenario.name)
+					console.warn(kleur.yellow(`>> The baseline belongs to the '${baseline.action}' ${baseline.scenario ? "scenario" : "action"}.`));
+			}
 
+			let stats = createStats();
+			let itemStats = {};
 			let count = 0;
-			let resCount = 0;
-			let errorCount = 0;
-			let sumTime = 0;
-			let minTime;
-			let maxTime;
-
-			let timeout = false;
-
-			setTimeout(() => timeout = true, (time ? time : 60) * 1000);
-			let startTotalTime = process.hrtime();
-
-			const printResult = function(duration) {
-				const errStr = errorCount > 0 ? kleur.red().bold(`${formatNumber(errorCount)} error(s) ${formatNumber(errorCount / resCount * 100)}%`) : kleur.grey("0 error");
-
-				console.log(kleur.green().bold("\nBenchmark result:\n"));
-				console.log(kleur.bold(`  ${formatNumber(resCount)} requests in ${humanize(duration)}, ${errStr}`));
-				console.log("\n  Requests/sec:", kleur.bold(formatNumber(resCount / duration * 1000)));
-				console.log("\n  Latency:");
-				console.log("    Avg:", kleur.bold(_.padStart(humanize(sumTime / resCount), 10)));
-				console.log("    Min:", kleur.bold(_.padStart(humanize(minTime), 10)));
-				console.log("    Max:", kleur.bold(_.padStart(humanize(maxTime), 10)));
-				console.log();
+			let workers = 0;
+			let warming = warmup > 0;
+			let finished = false;
+			let startTotalTime;
+			let timer;
+
+			const startMeasuring = function() {
+				warming = false;
+				stats = createStats();
+				itemStats = _.fromPairs(scenario.items.map(item => [item.name, createStats()]));
+				count = 0;
+				startTotalTime = process.hrtime();
+				spinner.text = iterate ? `Running x ${iterate} times with concurrency ${concurrency}...` : `Running ${time} second(s) with concurrency ${concurrency}...`;
+				timer = setTimeout(() => finished = true, (time ? time : 60) * 1000);
 			};
 
-			const handleResponse = function(startTime, err) {
-				resCount++;
+			const finish = function() {
+				clearTimeout(timer);
+				spinner.stop();
 
-				if (err) {
-					errorCount++;
+				const diff = process.hrtime(startTotalTime);
+				const duration = (diff[0] + diff[1] / 1e9) * 1000;
+				const result = calculateResult(stats, duration);
+				printResult(result);
+
+				if (args.options.scenario) {
+					result.actions = _.mapValues(itemStats, s => _.omit(calculateResult(s, duration), ["histogram"]));
+					printScenarioResult(scenario, result.actions);
 				}
 
-				const diff = process.hrtime(startTime);
-				const duration = (diff[0] + diff[1] / 1e9) * 1000;
-				sumTime += duration;
-				if (minTime == null || duration < minTime)
-					minTime = duration;
-				if (maxTime == null || duration > maxTime)
-					maxTime = duration;
+				if (args.options["save-baseline"]) {
+					const fName = path.resolve(String(args.options["save-baseline"]));
+					fs.writeFileSync(fName, JSON.stringify({
+						action: scenario.name,
+						scenario: args.options.scenario ? path.resolve(args.options.scenario) : undefined,
+						params: payload,
+						meta,
+						nodeID: args.options.nodeID || null,
+						options: { num: iterate, time, concurrency, warmup },
+						node: {
+							nodeID: broker.nodeID,
+							moleculer: broker.MOLECULER_VERSION,
+							nodejs: process.version,
+							platform: process.platform
+						},
+						createdAt: new Date().toISOString(),
+						result
+					}, null, 4), "utf8");
+					console.log(kleur.magenta().bold(`>> Baseline has been saved to '${fName}' file.`));
+				}
 
-				if (timeout || (iterate && resCount >= iterate)) {
-					spinner.stop();
+				if (baseline) {
+					const thresholds = args.options.threshold ? parseThresholds(args.options.threshold) : DEFAULT_THRESHOLDS;
+					const items = compareResult(baseline.result, result, thresholds);
+					printComparison(items, baseline);
 
-					const diff = process.hrtime(startTotalTime);
-					const duration = (diff[0] + diff[1] / 1e9) * 1000;
-					printResult(duration);
+					const exceeded = items.filter(item => item.exceeded);
+					if (exceeded.length > 0)
+						return done(kleur.red().bold(">> Performance regression: " + exceeded.map(item => `${item.metric.key} ${formatDelta(item)}`).join(", ")));
+				}
+
+				done();
+			};
+
+			// Start the next request of a worker or stop it if the benchmark is finished
+			const next = function() {
+				if (!warming && iterate && count >= iterate)
+					finished = true;
 
-					return done();
+				if (finished) {
+					workers--;
+					if (workers == 0)
+						finish();
+					return;
+				}
+
+				doRequest();
+			};
+
+			const handleResponse = function(item, startTime, measured, err) {
+				if (measured) {
+					const diff = process.hrtime(startTime);
+					const duration = (diff[0] + diff[1] / 1e9) * 1000;
+					stats.add(duration, err);
+					itemStats[item.name].add(duration, err);
 				}
 
-				if (count % 10 * 1000) {
+				const thinkTime = scenarios.getThinkTime(item);
+				if (thinkTime > 0) {
+					setTimeout(next, thinkTime);
+				} else if (count % 100) {
 					// Fast cycle
-					doRequest();
+					next();
 				} else {
 					// Slow cycle
-					setImmediate(() => doRequest());
+					setImmediate(next);
 				}
-
 			};
 
 			function doRequest() {
-				count++;
-				const startTime = process.hrtime();
+				const item = scenarios.pickItem(scenario);
+				const measured = !warming;
+				if (measured)
+					count++;
+
+				const callingOpts = { meta: item.meta };
+				if (item.nodeID || args.options.nodeID)
+					callingOpts.nodeID = item.nodeID || args.options.nodeID;
+
+				let params;
+				try {
+					params = item.getParams({ iteration: count });
+				} catch(err) {
+					handleResponse(item, process.hrtime(), measured, err);
+					return Promise.resolve();
+				}
 
-				return broker.call(args.action, payload, callingOpts).then(res => {
-					handleResponse(startTime);
+				const startTime = process.hrtime();
+				return broker.call(item.action, params, callingOpts).then(res => {
+					handleResponse(item, startTime, measured);
 					return res;
 				}).catch(err => {
-					handleResponse(startTime, err);
-					//console.error(kleur.red().bold(">> ERROR:", err.message));
-					//console.error(kleur.red().bold(err.stack));
-					//console.error("Data: ", util.inspect(err.data, { showHidden: false, depth: 4, colors: true }));
+					handleResponse(item, startTime, measured, err);
 				});
 			}
 
-			console.log(kleur.yellow().bold(`>> Call '${args.action}'${args.options.nodeID ? " on '" + args.options.nodeID + "'" : ""} with params:`), payload);
-			spinner.start(iterate ? `Running x ${iterate} times...` : `Running ${time} second(s)...`);
-
-			doRequest();
+			if (args.options.scenario) {
+				console.log(kleur.yellow().bold(`>> Run scenario '${scenario.name}'${args.options.nodeID ? " on '" + args.options.nodeID + "'" : ""} with actions:`));
+				scenario.items.forEach(item => console.log(`   ${item.name} ${kleur.gray(`(${formatNumber(item.weight / scenario.totalWeight * 100)}%)`)}`));
+			} else {
+				console.log(kleur.yellow().bold(`>> Call '${args.action}'${args.options.nodeID ? " on '" + args.options.nodeID + "'" : ""} with params:`), payload);
+			}
+			if (warming) {
+				spinner.start(`Warming up ${warmup} second(s)...`);
+				setTimeout(() => startMeasuring(), warmup * 1000);
+			} else {
+				startMeasuring();
+				spinner.start();
+			}
 
+			workers = iterate ? Math.min(concurrency, iterate) : concurrency;
+			_.times(workers, () => doRequest());
 		});
 };
+
+module.exports.createStats = createStats;
+module.exports.calculateResult = calculateResult;
+module.exports.getHistogramLabels = getHistogramLabels;
+module.exports.parseThresholds = parseThresholds;
+module.exports.validateOptions = validateOptions;
+module.exports.compareResult = compareResult;
@@ -1,30 +1,52 @@
 "use strict";
 
 const kleur 			= require("kleur");
-const { convertArgs } 	= require("../utils");
+const _ 				= require("lodash");
+const { getEventPayload, sendEvent, printRoutes } = require("../event-routing");
 
 module.exports = function(vorpal, broker) {
+	const eventNames = {
+		data() {
+			return _.uniq(_.compact(broker.registry.getEventList({}).map(item => item && item.event ? item.event.name: null)));
+		}
+	};
+
 	// Register broker.broadcast
 	vorpal
 		.removeIfExist("broadcast")
-		.command("broadcast <eventName>", "Broadcast an event")
+		.command("broadcast <eventName> [jsonParams] [meta]", "Broadcast an event")
+		.autocomplete(eventNames)
+		.option("--load [filename]", "Load payload from file")
+		.option("--group <name>", "Target group (repeatable)")
+		.option("--nodeID <nodeID>", "Target node (only the local node)")
 		.allowUnknownOptions()
 		.action((args, done) => {
-			const payload = convertArgs(args.options);
-			console.log(kleur.yellow().bold(`>> Broadcast '${args.eventName}' with payload:`), payload);
-			broker.broadcast(args.eventName, payload);
+			try {
+				const { payload, opts } = getEventPayload(args);
+				console.log(kleur.yellow().bold(`>> Broadcast '${args.eventName}' with payload:`), payload);
+				printRoutes(args.eventName, sendEvent(broker, "broadcast", args.eventName, payload, opts));
+			} catch(err) {
+				return done(kleur.red().bold(">> " + err.message));
+			}
 			done();
 		});
 
 	// Register broker.broadcast
 	vorpal
 		.removeIfExist("broadcastLocal")
-		.command("broadcastLocal <eventName>", "Broadcast an event locally")
+		.command("broadcastLocal <eventName> [jsonParams] [meta]", "Broadcast an event locally")
+		.autocomplete(eventNames)
+		.option("--load [filename]", "Load payload from file")
+		.option("--group <name>", "Target group (repeatable)")
 		.allowUnknownOptions()
 		.action((args, done) => {
-			const payload = convertArgs(args.options);
-			console.log(kleur.yellow().bold(`>> Broadcast '${args.eventName}' locally with payload:`), payload);
-			broker.broadcastLocal(args.eventName, payload);
+			try {
+				const { payload, opts } = getEventPayload(args);
+				console.log(kleur.yellow().bold(`>> Broadcast '${args.eventName}' locally with payload:`), payload);
+				printRoutes(args.eventName, sendEvent(broker, "broadcastLocal", args.eventName, payload, opts));
+			} catch(err) {
+				return done(kleur.red().bold(">> " + err.message));
+			}
 			done();
 		});
 };
@@ -0,0 +1,269 @@
+"use strict";
+
+const kleur 							= require("kleur");
+const _ 								= require("lodash");
+const util 								= require("util");
+const { table, getBorderCharacters } 	= require("table");
+const { match } 						= require("../utils");
+
+/**
+ * Parse a JSON argument. Vorpal converts the numeric arguments, so they are accepted as-is.
+ *
+ * @param {any} value
+ * @returns {any}
+ */
+function parseJSONArg(value) {
+	return _.isString(value) ? JSON.parse(value) : value;
+}
+
+/**
+ * Check the type of a built-in cacher. The internals of the cacher are read only if its type is known.
+ *
+ * @param {Cacher} cacher
+ * @param {String} type E.g.: `MemoryCacher`
+ * @returns {Boolean}
+ */
+function isCacherType(cacher, type) {
+	return cacher.constructor && cacher.constructor.name == type;
+}
+
+/**
+ * Scan the keys of a Redis client which match the pattern. `SCAN` is used instead of `KEYS`
+ * to not block the server, in the same way as `RedisCacher.clean()` does.
+ *
+ * @param {Redis} client
+ * @param {String} pattern
+ * @returns {Promise<Array<String>>}
+ */
+function scanRedisKeys(client, pattern) {
+	// Cluster: scan all master nodes
+	if (_.isFunction(client.nodes))
+		return Promise.all(client.nodes("master").map(node => scanRedisKeys(node, pattern))).then(res => _.flatten(res));
+
+	return new Promise((resolve, reject) => {
+		const keys = [];
+		const stream = client.scanStream({ match: pattern, count: 100 });
+		stream.on("data", (res = []) => keys.push(...res));
+		stream.on("error", reject);
+		stream.on("end", () => resolve(keys));
+	});
+}
+
+/**
+ * List the keys of the cacher as `{ key, expire }` items.
+ * The built-in memory & Redis cachers are supported.
+ *
+ * @param {Cacher} cacher
+ * @returns {Promise<Array<Object>>}
+ */
+function getCacheKeys(cacher) {
+	if (_.isFunction(cacher.getCacheKeys))
+		return Promise.resolve(cacher.getCacheKeys()).then(list => list.map(item => _.isString(item) ? { key: item } : { key: item.key, expire: item.expiresAt }));
+
+	if (isCacherType(cacher, "MemoryCacher")) {
+		const now = Date.now();
+		return Promise.resolve(Array.from(cacher.cache.entries())
+			.filter(([, item]) => !item.expire || item.expire > now)
+			.map(([key, item]) => ({ key, expire: item.expire })));
+	}
+
+	if (isCacherType(cacher, "MemoryLRUCacher"))
+		return Promise.resolve(cacher.cache.keys().map(key => ({ key })));
+
+	if (isCacherType(cacher, "RedisCacher"))
+		return scanRedisKeys(cacher.client, cacher.prefix + "*").then(keys => _.uniq(keys).map(key => ({ key: key.substring(cacher.prefix.length) })));
+
+	return Promise.reject(new Error("The cacher doesn't support listing keys."));
+}
+
+/**
+ * Get a cache entry with the remaining TTL in seconds. The TTL is `null` if the entry
+ * never expires and `undefined` if the cacher can't provide it.
+ * The memory cachers are read directly, so the inspection doesn't touch the expiration or the LRU order.
+ *
+ * @param {Cacher} cacher
+ * @param {String} key
+ * @returns {Promise<Object>} `{ data, ttl }`
+ */
+function getCacheEntry(cacher, key) {
+	if (isCacherType(cacher, "MemoryCacher")) {
+		const item = cacher.cache.get(key);
+		if (!item || (item.expire && item.expire < Date.now()))
+			return Promise.resolve({ data: null });
+
+		return Promise.resolve({ data: item.data, ttl: item.expire ? (item.expire - Date.now()) / 1000 : null });
+	}
+
+	if (isCacherType(cacher, "MemoryLRUCacher")) {
+		const data = cacher.cache.peek(key);
+		return Promise.resolve({ data: data !== undefined ? data : null });
+	}
+
+	if (_.isFunction(cacher.getWithTTL)) {
+		// Redis returns -1 if the key has no expiration
+		return cacher.getWithTTL(key).then(({ data, ttl }) => ({ data, ttl: ttl != null && ttl >= 0 ? ttl : null }));
+	}
+
+	return cacher.get(key).then(data => ({ data }));
+}
+
+function formatTTL(ttl) {
+	if (ttl === undefined)
+		return kleur.gray("unknown");
+	if (ttl === null)
+		return kleur.gray("no expiration");
+	return kleur.green().bold(`${ttl.toFixed(1)}s`);
+}
+
+module.exports = function(vorpal, broker) {
+	const getActionNames = () => _.uniq(_.compact(broker.registry.getActionList({}).map(item => item && item.action ? item.action.name : null)));
+
+	const checkCacher = () => broker.cacher ? true : kleur.red().bold("No cacher.");
+
+	// List cache keys
+	vorpal
+		.removeIfExist("cache keys")
+		.command("cache keys [pattern]", "List cache keys")
+		.validate(checkCacher)
+		.action((args, done) => {
+			getCacheKeys(broker.cacher)
+				.then(list => {
+					list = _.sortBy(list.filter(item => !args.pattern || match(item.key, args.pattern)), "key");
+					if (list.length == 0) {
+						console.log(kleur.yellow().bold(args.pattern ? `>> No cache keys matching '${args.pattern}'.` : ">> The cache is empty."));
+						return done();
+					}
+
+					const now = Date.now();
+					const data = [
+						[
+							kleur.bold("Key"),
+							kleur.bold("TTL")
+						]
+					].concat(list.map(item => [
+						item.key,
+						formatTTL(item.expire ? (item.expire - now) / 1000 : item.expire)
+					]));
+
+					const tableConf = {
+						border: _.mapValues(getBorderCharacters("honeywell"), char => kleur.gray(char)),
+						columns: {
+							1: { alignment: "right" }
+						},
+						drawHorizontalLine: (index, count) => index == 0 || index == 1 || index == count
+					};
+
+					console.log(table(data, tableConf));
+					console.log(kleur.gray(`  ${list.length} key(s)`));
+					done();
+				})
+				.catch(err => done(kleur.red().bold(">> " + err.message)));
+		});
+
+	// Get a cache entry
+	vorpal
+		.removeIfExist("cache get")
+		.command("cache get <key>", "Get a cache entry")
+		.validate(checkCacher)
+		.action((args, done) => {
+			const key = String(args.key);
+			getCacheEntry(broker.cacher, key)
+				.then(({ data, ttl }) => {
+					if (data == null) {
+						console.log(kleur.yellow().bold(`>> Key '${key}' not found.`));
+						return done();
+					}
+
+					console.log(kleur.yellow().bold(">> TTL:"), formatTTL(ttl));
+					console.log(util.inspect(data, { showHidden: false, depth: 4, colors: true }));
+					done();
+				})
+				.catch(err => done(kleur.red().bold(">> " + err.message)));
+		});
+
+	// Set a cache entry
+	vorpal
+		.removeIfExist("cache set")
+		.command("cache set <key> <json>", "Set a cache entry")
+		.option("--ttl <seconds>", "time-to-live in seconds")
+		.validate(args => {
+			if (args.options.ttl != null && !(Number(args.options.ttl) >= 0))
+				return kleur.red("The TTL must be a non-negative number.");
+			return checkCacher();
+		})
+		.action((args, done) => {
+			let data;
+			try {
+				data = parseJSONArg(args.json);
+			} catch(err) {
+				return done(kleur.red().bold(">> Can't parse <json>: " + err.message));
+			}
+
+			const key = String(args.key);
+			const ttl = args.options.ttl != null ? Number(args.options.ttl) : undefined;
+			Promise.resolve(broker.cacher.set(key, data, ttl))
+				.then(() => {
+					console.log(kleur.yellow().bold(`>> Key '${key}' has been set.`));
+					done();
+				})
+				.catch(err => done(kleur.red().bold(">> " + err.message)));
+		});
+
+	// Delete a cache entry
+	vorpal
+		.removeIfExist("cache del")
+		.command("cache del <key>", "Delete a cache entry")
+		.validate(checkCacher)
+		.action((args, done) => {
+			const key = String(args.key);
+			Promise.resolve(broker.cacher.del(key))
+				.then(() => {
+					console.log(kleur.yellow().bold(`>> Key '${key}' has been deleted.`));
+					done();
+				})
+				.catch(err => done(kleur.red().bold(">> " + err.message)));
+		});
+
+	// Compute the cache key of an action call
+	vorpal
+		.removeIfExist("cache key")
+		.command("cache key <actionName> <jsonParams> [meta]", "Show the cache key of an action call")
+		.autocomplete({
+			data() {
+				return getActionNames();
+			}
+		})
+		.validate(checkCacher)
+		.action((args, done) => {
+			let params, meta;
+			try {
+				params = parseJSONArg(args.jsonParams);
+				meta = args.meta != null ? parseJSONArg(args.meta) : {};
+			} catch(err) {
+				return done(kleur.red().bold(">> Can't parse the params: " + err.message));
+			}
+
+			const item = broker.registry.getActionList({}).find(item => item.name == args.actionName);
+			if (!item)
+				return done(kleur.red().bold(`>> Action '${args.actionName}' not found.`));
+
+			const cache = item.action.cache;
+			const keys = _.isPlainObject(cache) ? cache.keys : null;
+			if (!cache)
+				console.log(kleur.yellow().bold(`>> Caching is not enabled for '${args.actionName}' action.`));
+
+			const key = broker.cacher.getCacheKey(args.actionName, params, meta, keys);
+			console.log(kleur.yellow().bold(">> Cache keys:"), keys ? kleur.cyan(keys.join(", ")) : kleur.gray("<all params>"));
+			console.log(kleur.yellow().bold(">> Cache key: "), kleur.green().bold(key));
+
+			getCacheEntry(broker.cacher, key)
+				.then(({ data, ttl }) => {
+					console.log(kleur.yellow().bold(">> Cached:   "), data != null ? kleur.green("yes") + kleur.gray(", TTL: ") + formatTTL(ttl) : kleur.gray("no"));
+					done();
+				})
+				.catch(err => done(kleur.red().bold(">> " + err.message)));
+		});
+};
+
+module.exports.getCacheKeys = getCacheKeys;
+module.exports.getCacheEntry = getCacheEntry;
@@ -5,37 +5,126 @@ const fs 				= require("fs");
 const path				= require("path");
 const _ 				= require("lodash");
 const util 				= require("util");
-const { convertArgs } 	= require("../utils");
+const { table, getBorderCharacters } 	= require("table");
+const { convertArgs, stripAnsi } 	= require("../utils");
 const humanize 			= require("tiny-human-time").short;
 const isStream			= require("is-stream");
+const { promptParams } 	= require("../params-prompt");
+const { createTraceCollector, printTrace } = require("../trace");
+const variables 		= require("../variables");
+const { parseSelector, select, limitDepth } = require("../select");
+const output 			= require("../output");
 
-function call(broker, args, done) {
+// Command options which are not part of the params
+const COMMAND_OPTIONS = ["load", "stream", "save", "timeout", "retries", "requestID", "parentID", "caller", "fallback", "trace", "traceWait", "select", "depth", "table"];
+
+/**
+ * Get the params schema of an action from the registry.
+ *
+ * @param {ServiceBroker} broker
+ * @param {String} actionName
+ * @returns {Object?}
+ */
+function getParamsSchema(broker, actionName) {
+	const item = broker.registry.getActionList({}).find(item => item.name == actionName);
+	return item && item.action && _.isPlainObject(item.action.params) ? item.action.params : null;
+}
+
+/**
+ * Create calling options from the command options.
+ *
+ * @param {ServiceBroker} broker
+ * @param {Object} args
+ * @param {Object} meta
+ * @returns {Object}
+ */
+function getCallingOptions(broker, args, meta) {
+	const opts = { meta, nodeID: args.nodeID };
+	const options = args.options;
+
+	if (options.timeout != null)
+		opts.timeout = Number(options.timeout);
+	if (options.retries != null)
+		opts.retries = Number(options.retries);
+	if (options.requestID != null)
+		opts.requestID = String(options.requestID);
+
+	// `parentID` & `caller` can be set only via a parent context. It's a real context,
+	// so the tracing sampling & the level of the call work as usual.
+	if (options.parentID != null || options.caller != null) {
+		const parentCtx = broker.ContextFactory.create(broker, null, {}, { requestID: opts.requestID });
+		// Without `--parentID` the parent context has a generated ID like any root context
+		if (options.parentID != null)
+			parentCtx.id = String(options.parentID);
+		parentCtx.service = options.caller != null ? { fullName: String(options.caller) } : null;
+		// The call is a top-level call
+		parentCtx.level = 0;
+		opts.parentCtx = parentCtx;
+	}
+
+	if (options.fallback != null) {
+		const fallbackResponse = _.isString(options.fallback) ? JSON.parse(options.fallback) : options.fallback;
+		// The response can be equal to the fallback response, so the usage is flagged
+		opts.fallbackResponse = () => {
+			opts.fallbackUsed = true;
+			return fallbackResponse;
+		};
+	}
+
+	return opts;
+}
+
+function call(vorpal, broker, args, done) {
 	let payload;
 	let meta = {};
-	console.log(args);
+
+	// Interpolate the session variables in the option values
+	try {
+		args.options = variables.interpolate(args.options);
+	} catch(err) {
+		return done(kleur.red().bold(">> " + err.message));
+	}
+
 	if (typeof(args.jsonParams) == "string") {
 		try {
-			payload = JSON.parse(args.jsonParams);
+			payload = variables.parseJSON(args.jsonParams);
 		} catch(err) {
-			console.error(kleur.red().bold(">> ERROR:", err.message, args.jsonParams));
-			console.error(kleur.red().bold(err.stack));
-			done();
-			return;
+			return done(kleur.red().bold(">> Can't parse the params: " + err.message));
 		}
 	} else {
-		payload = convertArgs(args.options);
-		if (args.options.save)
-			delete payload.save;
+		payload = _.omit(convertArgs(args.options), COMMAND_OPTIONS);
 	}
 
 	if (typeof(args.meta) === "string") {
 		try {
-			meta = JSON.parse(args.meta);
+			meta = variables.parseJSON(args.meta);
 		} catch(err) {
-			console.error(kleur.red().bold("Can't parse [meta]"), args.meta);
+			console.error(kleur.red().bold("Can't parse [meta]"), args.meta, kleur.red(err.message));
 		}
 	}
 
+	if (args.options.select != null) {
+		try {
+			args.selector = parseSelector(String(args.options.select));
+		} catch(err) {
+			return done(kleur.red().bold(">> " + err.message));
+		}
+	}
+
+	if (args.options.depth != null && !(Number(args.options.depth) >= 0))
+		return done(kleur.red().bold(">> The --depth must be a non-negative number."));
+
+	let callingOpts;
+	try {
+		callingOpts = getCallingOptions(broker, args, meta);
+	} catch(err) {
+		console.error(kleur.red().bold("Can't parse --fallback"), args.options.fallback);
+		return done(err);
+	}
+
+	if (callingOpts.retries != null && !isRetryEnabled(broker))
+		console.log(kleur.yellow().bold(">> WARNING: The --retries option has no effect because the retry policy of the broker is disabled."));
+
 	// Load payload from file
 	if (args.options.load) {
 		let fName;
@@ -48,7 +137,7 @@ function call(broker, args, done) {
 			console.log(kleur.magenta(`>> Load params from '${fName}' file.`));
 			payload = JSON.parse(fs.readFileSync(fName, "utf8"));
 		} else {
-			console.log(kleur.red(">> File not found:", fName));
+			return done(kleur.red(">> File not found: " + fName));
 		}
 	}
 
@@ -64,29 +153,162 @@ function call(broker, args, done) {
 			console.log(kleur.magenta(`>> Load stream from '${fName}' file.`));
 			payload = fs.createReadStream(fName);
 		} else {
-			console.log(kleur.red(">> File not found:", fName));
+			return done(kleur.red(">> File not found: " + fName));
 		}
 	}
 
+	// Prompt the params by the action schema in interactive mode (except remote sessions)
+	const schema = getParamsSchema(broker, args.actionName);
+	const interactive = vorpal.ui.parent != null && !output.current();
+	if (interactive && schema && args.jsonParams == null && !args.options.load && !args.options.stream && _.isEmpty(payload)) {
+		const cmd = vorpal.activeCommand;
+		console.log(kleur.yellow().bold(`>> Enter the params of '${args.actionName}':`));
+		promptParams(cmd, schema)
+			.then(params => {
+				console.log(kleur.yellow().bold(">> Params:"), util.inspect(params, { showHidden: false, depth: 4, colors: true }));
+				return cmd.prompt({ type: "confirm", name: "send", message: "Send the request?", default: true })
+					.then(({ send }) => {
+						if (!send) {
+							console.log(kleur.yellow(">> Call cancelled."));
+							return done();
+						}
+						doCall(broker, args, params, callingOpts, done);
+					});
+			})
+			.catch(err => done(err));
+		return;
+	}
+
+	doCall(broker, args, payload, callingOpts, done);
+}
+
+function isRetryEnabled(broker) {
+	return !!(broker.options.retryPolicy && broker.options.retryPolicy.enabled);
+}
+
+/**
+ * Print what happened during the call (responder node, retries...)
+ *
+ * @param {ServiceBroker} broker
+ * @param {Context} ctx
+ * @param {Boolean} fallback
+ */
+function printCallSummary(broker, ctx, fallback) {
+	if (!ctx)
+		return;
+
+	const items = [
+		`node: ${kleur.bold(ctx.nodeID)}`,
+		isRetryEnabled(broker) ? `retries: ${kleur.bold(ctx._retryAttempts || 0)}` : `retries: ${kleur.gray("disabled")}`
+	];
+	if (ctx.options.timeout > 0)
+		items.push(`timeout: ${kleur.bold(ctx.options.timeout + "ms")}`);
+	if (ctx.requestID)
+		items.push(`requestID: ${kleur.bold(ctx.requestID)}`);
+	if (ctx.parentID)
+		items.push(`parentID: ${kleur.bold(ctx.parentID)}`);
+	if (ctx.caller)
+		items.push(`caller: ${kleur.bold(ctx.caller)}`);
+	if (fallback)
+		items.push(kleur.yellow().bold("fallback response"));
+
+	console.log(kleur.cyan().bold(">> Call info:"), items.join(", "));
+}
+
+/**
+ * Render an array of objects (or a single object) as a table. The nested values
+ * are printed as JSON, the primitive items in a `value` column.
+ *
+ * @param {any} value
+ * @returns {String}
+ */
+function renderTable(value) {
+	const rows = Array.isArray(value) ? value : [value];
+	const columns = _.uniq(_.flatMap(rows, row => _.isPlainObject(row) ? Object.keys(row) : ["value"]));
+
+	const formatCell = v => {
+		if (v == null)
+			return kleur.gray("-");
+		return _.isObject(v) ? JSON.stringify(v) : String(v);
+	};
+
+	const data = [
+		[kleur.bold("#")].concat(columns.map(col => kleur.bold(col)))
+	].concat(rows.map((row, i) => [i].concat(columns.map(col => {
+		if (_.isPlainObject(row))
+			return formatCell(row[col]);
+		return col == "value" ? formatCell(row) : formatCell(null);
+	}))));
+
+	const tableConf = {
+		border: _.mapValues(getBorderCharacters("honeywell"), char => kleur.gray(char)),
+		drawHorizontalLine: (index, count) => index == 0 || index == 1 || index == count
+	};
+
+	return table(data, tableConf);
+}
+
+function doCall(broker, args, payload, callingOpts, done) {
+	let finish = done;
+
+	// Force tracing & collect the spans of the request
+	if (args.options.trace) {
+		if (!broker.isTracingEnabled())
+			return done(kleur.red().bold("Tracing feature is disabled."));
+
+		const traceID = callingOpts.requestID || broker.generateUid();
+		callingOpts.parentSpan = {
+			id: callingOpts.parentCtx ? callingOpts.parentCtx.id : null,
+			traceID,
+			sampled: true
+		};
+
+		const collector = createTraceCollector(broker, traceID);
+		const wait = args.options.traceWait != null ? Number(args.options.traceWait) : (broker.transit ? 1000 : 0);
+		finish = err => {
+			setTimeout(() => {
+				collector.stop()
+					.then(spans => printTrace(spans))
+					.then(() => done(err), e => done(e));
+			}, wait);
+		};
+	}
+
 	const startTime = process.hrtime();
 	const nodeID = args.nodeID;
-	meta.$repl = true;
+	callingOpts.meta.$repl = true;
 	console.log(kleur.yellow().bold(`>> Call '${args.actionName}'${nodeID ? " on " + nodeID : ""}`), isStream(payload) ? "with <Stream>." : "with params:", isStream(payload) ? "" : payload);
-	broker.call(args.actionName, payload, { meta, nodeID })
+	const p = broker.call(args.actionName, payload, callingOpts);
+	p
 		.then(res => {
 			const diff = process.hrtime(startTime);
 			const duration = (diff[0] + diff[1] / 1e9) * 1000;
 			console.log(kleur.cyan().bold(">> Execution time:" + humanize(duration)));
+			printCallSummary(broker, p.ctx, !!callingOpts.fallbackUsed);
+
+			const depth = args.options.depth != null ? Number(args.options.depth) : null;
+			let output = res;
+			let tableOutput;
 
 			console.log(kleur.yellow().bold(">> Response:"));
 			if (isStream(res)) {
 				console.log("<Stream>");
 			} else {
-				console.log(util.inspect(res, { showHidden: false, depth: 4, colors: true }));
+				variables.setLastResponse(res);
+
+				if (args.selector)
+					output = select(res, args.selector);
+
+				if (args.options.table && _.isObject(output)) {
+					tableOutput = renderTable(output);
+					console.log(tableOutput);
+				} else {
+					console.log(util.inspect(output, { showHidden: false, depth: depth != null ? depth : 4, colors: true }));
+				}
 			}
 
 			// Save response to file
-			if (args.options.save && res != null)  {
+			if (args.options.save && output != null)  {
 				let fName;
 				if (_.isString(args.options.save)) {
 					fName = path.resolve(args.options.save);
@@ -95,23 +317,28 @@ function call(broker, args, done) {
 					if (isStream(res))
 						fName += ".stream";
 					else
-						fName += _.isObject(res) ? ".json" : ".txt";
+						fName += _.isObject(output) && !tableOutput ? ".json" : ".txt";
 				}
 
 				if (isStream(res)) {
 					res.pipe(fs.createWriteStream(fName));
+				} else if (tableOutput) {
+					fs.writeFileSync(fName, stripAnsi(tableOutput), "utf8");
 				} else {
-					fs.writeFileSync(fName, _.isObject(res) ? JSON.stringify(res, null, 4) : res, "utf8");
+					if (depth != null)
+						output = limitDepth(output, depth);
+					fs.writeFileSync(fName, _.isObject(output) ? JSON.stringify(output, null, 4) : String(output), "utf8");
 				}
 				console.log(kleur.magenta().bold(`>> Response has been saved to '${fName}' file.`));
 			}
+			finish();
 		})
 		.catch(err => {
+			printCallSummary(broker, p.ctx, !!callingOpts.fallbackUsed);
 			console.error(kleur.red().bold(">> ERROR:", err.message));
-			console.error(kleur.red().bold(err.stack));
 			console.error("Data: ", util.inspect(err.data, { showHidden: false, depth: 4, colors: true }));
-		})
-		.finally(done);
+			finish(err);
+		});
 }
 
 module.exports = function(vorpal, broker) {
@@ -127,8 +354,19 @@ module.exports = function(vorpal, broker) {
 		.option("--load [filename]", "Load params from file")
 		.option("--stream [filename]", "Send a file as stream")
 		.option("--save [filename]", "Save response to file")
+		.option("--timeout <ms>", "Request timeout")
+		.option("--retries <number>", "Number of retries")
+		.option("--requestID <requestID>", "Request ID")
+		.option("--parentID <parentID>", "Parent context ID")
+		.option("--caller <service>", "Caller service name")
+		.option("--fallback <json>", "Fallback response in case of error")
+		.option("--trace", "Trace the call and print the spans")
+		.option("--traceWait <ms>", "Time to wait for the spans of remote nodes")
+		.option("--select <path>", "Select a part of the response (e.g. 'rows[*].{id, name}')")
+		.option("--depth <n>", "Depth of the printed response")
+		.option("--table", "Print an array of objects as a table")
 		.allowUnknownOptions()
-		.action((args, done) => call(broker, args, done));
+		.action((args, done) => call(vorpal, broker, args, done));
 
 	// Register direct broker.call
 	vorpal
@@ -137,6 +375,19 @@ module.exports = function(vorpal, broker) {
 		.option("--load [filename]", "Load params from file")
 		.option("--stream [filename]", "Send a file as stream")
 		.option("--save [filename]", "Save response to file")
+		.option("--timeout <ms>", "Request timeout")
+		.option("--retries <number>", "Number of retries")
+		.option("--requestID <requestID>", "Request ID")
+		.option("--parentID <parentID>", "Parent context ID")
+		.option("--caller <service>", "Caller service name")
+		.option("--fallback <json>", "Fallback response in case of error")
+		.option("--trace", "Trace the call and print the spans")
+		.option("--traceWait <ms>", "Time to wait for the spans of remote nodes")
+		.option("--select <path>", "Select a part of the response (e.g. 'rows[*].{id, name}')")
+		.option("--depth <n>", "Depth of the printed response")
+		.option("--table", "Print an array of objects as a table")
 		.allowUnknownOptions()
-		.action((args, done) => call(broker, args, done));
+		.action((args, done) => call(vorpal, broker, args, done));
 };
+
+module.exports.getCallingOptions = getCallingOptions;
@@ -16,7 +16,6 @@ module.exports = function(vorpal, broker) {
 				return;
 			}
 
-			console.log(kleur.red().bold("No cacher."));
-			done();
+			done(kleur.red().bold("No cacher."));
 		});
 };
@@ -1,11 +1,13 @@
 "use strict";
 
+const output 			= require("../output");
+
 module.exports = function(vorpal) {
 	vorpal
 		.removeIfExist("cls")
 		.command("cls", "Clear console")
 		.action((args, done) => {
-			process.stdout.write("\x1Bc");
+			output.getStream().write("\x1Bc");
 			done();
 		});
 };
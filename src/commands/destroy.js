@@ -1,6 +1,8 @@
 "use strict";
 
 const kleur 			= require("kleur");
+const path 				= require("path");
+const { unwatchService } = require("../watchers");
 
 module.exports = function (vorpal, broker) {
 	// Register destroy service file
@@ -27,18 +29,21 @@ module.exports = function (vorpal, broker) {
 			const service = broker.getLocalService(serviceName, version);
 
 			if (!service) {
-				console.warn(kleur.red(`Service "${serviceName}" doesn't exists!`));
-				done();
+				done(kleur.red(`Service "${serviceName}" doesn't exists!`));
 				return;
 			}
 
+			if (unwatchService(service))
+				console.log(kleur.magenta(`>> Stop watching '${path.relative(process.cwd(), service.__filename)}'.`));
+
 			const p = broker.destroyService(service);
 			console.log(kleur.yellow(`>> Destroying '${serviceName}'...`));
-			p.then(res => {
+			p.then(() => {
 				console.log(kleur.green(">> Destroyed successfully!"));
+				done();
 			}).catch(err => {
-				console.error(kleur.red(">> ERROR:", err.message));
-				console.error(kleur.red(err.stack));
-			}).finally(done);
+				console.error(kleur.red(">> ERROR: " + err.message));
+				done(err);
+			});
 		});
 };
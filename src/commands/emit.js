@@ -2,23 +2,30 @@
 
 const kleur 			= require("kleur");
 const _ 				= require("lodash");
-const { convertArgs } 	= require("../utils");
+const { getEventPayload, sendEvent, printRoutes } = require("../event-routing");
 
 module.exports = function(vorpal, broker) {
 	// Register broker.emit
 	vorpal
 		.removeIfExist("emit")
-		.command("emit <eventName>", "Emit an event")
+		.command("emit <eventName> [jsonParams] [meta]", "Emit an event")
 		.autocomplete({
 			data() {
 				return _.uniq(_.compact(broker.registry.getEventList({}).map(item => item && item.event ? item.event.name: null)));
 			}
 		})
+		.option("--load [filename]", "Load payload from file")
+		.option("--group <name>", "Target group (repeatable)")
+		.option("--nodeID <nodeID>", "Target node (only the local node)")
 		.allowUnknownOptions()
 		.action((args, done) => {
-			const payload = convertArgs(args.options);
-			console.log(kleur.yellow().bold(`>> Emit '${args.eventName}' with payload:`), payload);
-			broker.emit(args.eventName, payload);
+			try {
+				const { payload, opts } = getEventPayload(args);
+				console.log(kleur.yellow().bold(`>> Emit '${args.eventName}' with payload:`), payload);
+				printRoutes(args.eventName, sendEvent(broker, "emit", args.eventName, payload, opts));
+			} catch(err) {
+				return done(kleur.red().bold(">> " + err.message));
+			}
 			done();
 		});
 };
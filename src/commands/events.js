@@ -3,7 +3,7 @@
 const kleur 			= require("kleur");
 const _ 				= require("lodash");
 const { table, getBorderCharacters } 	= require("table");
-const { match } 		= require("../utils");
+const { match, formatRows, validateFormat, printOutput, OUTPUT_FORMATS } = require("../utils");
 
 module.exports = function(vorpal, broker) {
 	// List events
@@ -15,6 +15,9 @@ module.exports = function(vorpal, broker) {
 		.option("-f, --filter <match>", "filter event listeners (e.g.: 'user.*')")
 		.option("-i, --skipinternal", "skip internal event listeners")
 		.option("-l, --local", "only local event listeners")
+		.option("--format <format>", "output format (table, json, csv, yaml)", OUTPUT_FORMATS)
+		.option("--out <filename>", "save output to a file")
+		.validate(validateFormat)
 		.action((args, done) => {
 			const events = broker.registry.getEventList({ onlyLocal: args.options.local, onlyAvailable: !args.options.all, skipInternal: args.options.skipinternal, withEndpoints: args.options.details });
 			const data = [
@@ -29,6 +32,7 @@ module.exports = function(vorpal, broker) {
 			events.sort((a, b) => a.name.localeCompare(b.name));
 
 			let hLines = [];
+			let rows = [];
 
 			events.forEach(item => {
 				const event = item.event;
@@ -36,6 +40,15 @@ module.exports = function(vorpal, broker) {
 				if (args.options.filter && !match(item.name, args.options.filter))
 					return;
 
+				const row = {
+					name: item.name,
+					group: item.group,
+					available: item.available,
+					nodes: item.count,
+					local: item.hasLocal
+				};
+				rows.push(row);
+
 				if (event) {
 					data.push([
 						event.name,
@@ -53,6 +66,7 @@ module.exports = function(vorpal, broker) {
 				}
 
 				if (args.options.details && item.endpoints) {
+					row.endpoints = item.endpoints.map(endpoint => ({ nodeID: endpoint.nodeID, available: endpoint.available }));
 					item.endpoints.forEach(endpoint => {
 						data.push([
 							"",
@@ -73,7 +87,8 @@ module.exports = function(vorpal, broker) {
 				drawHorizontalLine: (index, count) => index == 0 || index == 1 || index == count || hLines.indexOf(index) !== -1
 			};
 
-			console.log(table(data, tableConf));
+			const format = args.options.format || "table";
+			printOutput(format == "table" ? table(data, tableConf) : formatRows(rows, format), args.options.out);
 			done();
 		});
 };
@@ -0,0 +1,131 @@
+"use strict";
+
+const kleur 			= require("kleur");
+const fs 				= require("fs");
+const path 				= require("path");
+const _ 				= require("lodash");
+const { buildGraph, toDot, toMermaid } = require("../graph");
+
+const EXPORT_FORMATS = ["dot", "mermaid"];
+
+/**
+ * Render a tree of `{ label, children }` items.
+ *
+ * @param {Array<Object>} items
+ * @param {String?} prefix
+ * @returns {Array<String>} Lines
+ */
+function renderTree(items, prefix = "") {
+	const lines = [];
+	items.forEach((item, i) => {
+		const last = i == items.length - 1;
+		lines.push(prefix + kleur.gray(last ? "└── " : "├── ") + item.label);
+		if (item.children && item.children.length > 0)
+			lines.push(...renderTree(item.children, prefix + kleur.gray(last ? "    " : "│   ")));
+	});
+	return lines;
+}
+
+/**
+ * Get the tree items of a service.
+ *
+ * @param {Object} graph
+ * @param {Object} svc
+ * @param {Object} opts
+ * @returns {Array<Object>}
+ */
+function getServiceChildren(graph, svc, opts) {
+	const children = [];
+
+	if (!opts.compact && svc.actions.length > 0) {
+		children.push({
+			label: kleur.bold("actions"),
+			children: svc.actions.map(name => ({ label: name }))
+		});
+	}
+
+	if (!opts.compact && svc.events.length > 0) {
+		children.push({
+			label: kleur.bold("events"),
+			children: svc.events.map(event => ({ label: event.name + kleur.gray(` (group: ${event.group})`) }))
+		});
+	}
+
+	if (svc.dependencies && svc.dependencies.length > 0) {
+		children.push({
+			label: kleur.bold("depends on"),
+			children: svc.dependencies.map(dep => {
+				if (graph.missing.find(item => item.service == svc.fullName && item.dependency == dep))
+					return { label: kleur.red().bold(`✖ ${dep} (missing)`) };
+				if (graph.cycles.find(cycle => cycle.some((name, i) => name == svc.fullName && cycle[i + 1] == dep)))
+					return { label: kleur.yellow(`↻ ${dep} (cycle)`) };
+				return { label: kleur.green(`✔ ${dep}`) };
+			})
+		});
+	}
+
+	return children;
+}
+
+module.exports = function(vorpal, broker) {
+	// Print or export the topology graph
+	vorpal
+		.removeIfExist("graph")
+		.command("graph", "Print the graph of nodes, services & dependencies")
+		.option("-c, --compact", "print only the nodes, services & dependencies")
+		.option("-i, --internal", "include the internal services")
+		.option("--export <filename>", "export the graph to a file")
+		.option("--export-format <format>", "export format (dot, mermaid). Default: by file extension", EXPORT_FORMATS)
+		.validate(args => {
+			const format = args.options["export-format"];
+			if (format != null && EXPORT_FORMATS.indexOf(format) === -1)
+				return kleur.red(`Invalid export format '${format}'. Available formats: ${EXPORT_FORMATS.join(", ")}`);
+			if (format != null && args.options.export == null)
+				return kleur.red("The --export-format option can be used only with --export.");
+			return true;
+		})
+		.action((args, done) => {
+			const graph = buildGraph(broker, { internal: args.options.internal });
+
+			if (args.options.export) {
+				const fName = path.resolve(String(args.options.export));
+				const format = args.options["export-format"] || ([".mmd", ".mermaid", ".md"].indexOf(path.extname(fName).toLowerCase()) !== -1 ? "mermaid" : "dot");
+				const content = format == "mermaid" ? toMermaid(graph) : toDot(graph);
+
+				fs.writeFileSync(fName, format == "mermaid" && path.extname(fName).toLowerCase() == ".md" ? "```mermaid\n" + content + "```\n" : content, "utf8");
+				console.log(kleur.magenta().bold(`>> Graph has been exported to '${fName}' file in ${format == "mermaid" ? "Mermaid" : "DOT"} format.`));
+			} else {
+				if (graph.nodes.length == 0) {
+					console.log(kleur.gray(">> No services."));
+					console.log("");
+				}
+
+				graph.nodes.forEach(node => {
+					const items = node.services.map(svc => ({
+						label: kleur.yellow().bold(svc.fullName),
+						children: getServiceChildren(graph, svc, args.options)
+					}));
+
+					console.log(kleur.bold(node.id) + (node.local ? kleur.gray(" (*)") : ""));
+					console.log(renderTree(items).join("\n"));
+					console.log("");
+				});
+			}
+
+			if (graph.missing.length > 0) {
+				console.log(kleur.red().bold(">> Missing dependencies:"));
+				_.uniqBy(graph.missing, item => item.service + "|" + item.dependency)
+					.forEach(item => console.log(`   ${item.service} → ${kleur.red().bold(item.dependency)}`));
+			}
+
+			if (graph.cycles.length > 0) {
+				console.log(kleur.yellow().bold(">> Dependency cycles:"));
+				graph.cycles.forEach(cycle => console.log("   " + cycle.join(kleur.gray(" → "))));
+			}
+
+			if (graph.missing.length == 0 && graph.cycles.length == 0)
+				console.log(kleur.green(">> No missing dependencies or cycles."));
+
+			done();
+		});
+};
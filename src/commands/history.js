@@ -0,0 +1,101 @@
+"use strict";
+
+const kleur 			= require("kleur");
+const _ 				= require("lodash");
+
+/**
+ * Find a command in history by a bash-like designator
+ * (`!!`, `!<n>`, `!-<n>` or `!<prefix>`).
+ *
+ * @param {Array<String>} list
+ * @param {String} designator
+ * @returns {String?}
+ */
+function findInHistory(list, designator) {
+	const ref = designator.substring(1);
+	if (ref == "!")
+		return list[list.length - 1];
+
+	if (/^-?\d+$/.test(ref)) {
+		const idx = Number(ref);
+		return idx < 0 ? list[list.length + idx] : list[idx - 1];
+	}
+
+	return _.findLast(list, cmd => cmd.startsWith(ref));
+}
+
+/**
+ * Get the list of previous commands (the oldest first).
+ *
+ * @param {History} cmdHistory
+ * @returns {Array<String>}
+ */
+function getHistory(cmdHistory) {
+	const list = [];
+	for (let depth = 0; cmdHistory.peek(depth) !== undefined; depth++)
+		list.unshift(cmdHistory.peek(depth));
+	return list;
+}
+
+function isDesignator(input) {
+	return input.startsWith("!") && input.length > 1;
+}
+
+module.exports = function(vorpal) {
+	// Vorpal can clear only the persisted history, so the commands before `history --clear`
+	// are skipped in the in-memory history.
+	let clearedCount = 0;
+	const getCommands = () => getHistory(vorpal.cmdHistory).slice(clearedCount);
+
+	// List command history
+	vorpal
+		.removeIfExist("history")
+		.command("history [filter]", "List of previous commands")
+		.option("-n, --limit <number>", "show only the last n commands")
+		.option("--clear", "clear the command history")
+		.action((args, done) => {
+			if (args.options.clear) {
+				vorpal.cmdHistory.clear();
+				clearedCount = getHistory(vorpal.cmdHistory).length;
+				console.log(kleur.yellow().bold(">> Command history has been cleared."));
+				return done();
+			}
+
+			const hist = getCommands();
+			let items = hist.map((command, i) => ({ num: i + 1, command }));
+			if (args.filter)
+				items = items.filter(item => item.command.indexOf(args.filter) !== -1);
+			if (args.options.limit)
+				items = items.slice(-Number(args.options.limit));
+
+			const width = String(hist.length).length;
+			items.forEach(item => console.log("  " + kleur.gray(_.padStart(item.num, width)) + "  " + item.command));
+			done();
+		});
+
+	// Replay a command from history (`!!`, `!<n>`, `!-<n>`, `!<prefix>`).
+	// The designator is replaced before the command is queued (like the history expansion of bash),
+	// so the replayed command is recorded in history and its result is the result of the execution.
+	const exec = vorpal.exec;
+	vorpal.exec = function(cmd, args, cb) {
+		const input = String(cmd).trim();
+		if (isDesignator(input)) {
+			const command = findInHistory(getCommands(), input);
+			if (!command) {
+				const msg = kleur.red().bold(`>> Command not found in history: ${input}`);
+				console.log(msg);
+				if (_.isFunction(args) || _.isFunction(cb)) {
+					(_.isFunction(args) ? args : cb).call(this, msg);
+					return this;
+				}
+				return Promise.reject(msg);
+			}
+
+			console.log(kleur.gray(command));
+			cmd = command;
+		}
+		return exec.call(this, cmd, args, cb);
+	};
+};
+
+module.exports.findInHistory = findInHistory;
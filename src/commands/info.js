@@ -2,65 +2,240 @@
 
 const kleur 			= require("kleur");
 const _ 				= require("lodash");
-const util 				= require("util");
 const clui 				= require("clui");
 const pretty 			= require("pretty-bytes");
 const os 				= require("os");
+const { table, getBorderCharacters } 	= require("table");
+const { stripAnsi, printHeader, print } 	= require("../utils");
+
+/**
+ * Convert an object to `[caption, value]` rows. Nested objects are expanded on the first level only.
+ *
+ * @param {Object} obj
+ * @param {Number} level
+ * @returns {Array<Array>}
+ */
+function getObjectRows(obj, level = 0) {
+	const pad = "  ".repeat(level);
+	const rows = [];
+	Object.keys(obj).forEach(key => {
+		const val = obj[key];
+		if (_.isString(val)) {
+			rows.push([pad + key, kleur.green(`"${val}"`)]);
+		}
+		else if (_.isNumber(val)) {
+			rows.push([pad + key, kleur.cyan(val)]);
+		}
+		else if (_.isBoolean(val)) {
+			rows.push([pad + key, kleur.magenta(val)]);
+		}
+		else if (_.isFunction(val)) {
+			rows.push([pad + key, kleur.blue(`[Function ${val.name}]`)]);
+		}
+		else if (_.isArray(val)) {
+			if (key == "middlewares") {
+				rows.push([pad + key, val.map(v => {
+					if (_.isString(v)) return kleur.green(`"${v}"`);
+					if (_.isPlainObject(v) || _.isFunction) return kleur.green(`"${v.name}"`);
+				}).join(", ")]);
+			} else {
+				rows.push([pad + key, kleur.blue("[" + val.join(", ") + "]")]);
+			}
+		}
+		else if (_.isPlainObject(val) && level < 1) {
+			rows.push([pad + key]);
+			rows.push(...getObjectRows(val, level + 1));
+		}
+	});
+	return rows;
+}
+
+function printObject(obj) {
+	getObjectRows(obj).forEach(([caption, value]) => print(caption, value));
+}
+
+/**
+ * Get the name of a module from the broker options (e.g. `cacher: "Memory"` or `cacher: { type: "Redis" }`).
+ *
+ * @param {any} opt
+ * @param {String?} defaultName Name if the option is `true`
+ * @returns {String}
+ */
+function getModuleName(opt, defaultName) {
+	if (opt == null || opt === false)
+		return kleur.gray("<None>");
+	if (_.isString(opt))
+		return opt;
+	if (opt === true && defaultName)
+		return defaultName;
+	return opt.type || kleur.gray("<Custom>");
+}
+
+/**
+ * Collect the information of a node via the internal `$node` actions.
+ *
+ * @param {ServiceBroker} broker
+ * @param {String} nodeID
+ * @returns {Promise<Array<Object>>} List of `{ title, rows }` sections. An empty row is a separator.
+ */
+function getNodeInfo(broker, nodeID) {
+	const node = broker.registry.nodes.get(nodeID);
+	if (!node)
+		return Promise.reject(new Error(`Node '${nodeID}' is not found.`));
+	if (!node.available)
+		return Promise.reject(new Error(`Node '${nodeID}' is not available.`));
+
+	const call = (action, params) => broker.call(action, params, { nodeID });
+
+	return Promise.all([
+		call("$node.health"),
+		call("$node.options"),
+		call("$node.services", { onlyLocal: true }),
+		call("$node.actions", { onlyLocal: true }),
+		call("$node.events", { onlyLocal: true }),
+		call("$node.list")
+	]).then(([health, options, services, actions, events, nodes]) => {
+		const Gauge = clui.Gauge;
+		const mem = health.mem;
+		const heap = health.process.memory;
+		const transporter = options.transporter;
+
+		const sections = [
+			{
+				title: "General information",
+				rows: [
+					["CPU", "Arch: " + health.os.arch + ", Cores: " + health.cpu.cores],
+					["Memory", Gauge(mem.total - mem.free, mem.total, 20, mem.total * 0.8, pretty(mem.free) + " free")],
+					["Heap", Gauge(heap.heapUsed, heap.heapTotal, 20, heap.heapTotal * 0.8, pretty(heap.heapUsed))],
+					["OS", health.os.platform + " (" + health.os.type + ")"],
+					["IP", health.net.ip.join(", ")],
+					["Hostname", health.os.hostname],
+					[],
+					["Node version", health.client.langVersion],
+					["Moleculer version", health.client.version],
+					// Only the nodes with the same protocol version can be connected.
+					// The remote nodes send it in the INFO packet.
+					["Protocol version", node.local ? broker.PROTOCOL_VERSION : (node.rawInfo && node.rawInfo.ver) || kleur.gray("?")],
+					[],
+					["Current time", new Date(health.time.now).toString()]
+				]
+			},
+			{
+				title: "Broker information",
+				rows: [
+					["Namespace", options.namespace || kleur.gray("<None>")],
+					["Node ID", nodeID],
+					["Services", services.length],
+					["Actions", actions.length],
+					["Events", events.length],
+					[],
+					["Strategy", getModuleName(options.registry && options.registry.strategy)],
+					["Cacher", getModuleName(options.cacher, "Memory")],
+					["Nodes", nodes.length]
+				]
+			}
+		];
+
+		if (transporter) {
+			sections.push({
+				title: "Transport information",
+				rows: [
+					["Serializer", getModuleName(options.serializer || "JSON")],
+					["Transporter", _.isString(transporter) ? transporter.split(":")[0] : getModuleName(transporter)]
+				]
+			});
+
+			let settings;
+			if (_.isString(transporter))
+				settings = [["URL", transporter]];
+			else if (_.isPlainObject(transporter.options))
+				settings = getObjectRows(transporter.options);
+			else if (_.isString(transporter.options))
+				settings = [["URL", transporter.options]];
+			else
+				settings = [["Not Setting is set!"]];
+
+			sections.push({ title: "Transporter settings", rows: settings });
+		}
+
+		sections.push({ title: "Broker options", rows: getObjectRows(options) });
+
+		return sections;
+	});
+}
+
+function printSections(sections) {
+	sections.forEach(section => {
+		printHeader(section.title);
+		section.rows.forEach(([caption, value]) => caption != null ? print(caption, value) : console.log(""));
+		console.log("");
+	});
+}
+
+/**
+ * Print the information of two nodes side by side. The different values are highlighted.
+ *
+ * @param {Array<Object>} sectionsA
+ * @param {Array<Object>} sectionsB
+ * @param {String} nodeA
+ * @param {String} nodeB
+ */
+function printComparison(sectionsA, sectionsB, nodeA, nodeB) {
+	const titles = _.uniq(sectionsA.map(s => s.title).concat(sectionsB.map(s => s.title)));
+	const getRows = (sections, title) => {
+		const section = sections.find(s => s.title == title);
+		return section ? section.rows.filter(row => row.length > 0) : [];
+	};
+
+	titles.forEach(title => {
+		const rowsA = getRows(sectionsA, title);
+		const rowsB = getRows(sectionsB, title);
+		const captions = _.uniq(rowsA.map(row => row[0]).concat(rowsB.map(row => row[0])));
+		const valuesA = _.fromPairs(rowsA);
+		const valuesB = _.fromPairs(rowsB);
+
+		const data = [["", kleur.bold(nodeA), kleur.bold(nodeB)]];
+		captions.forEach(caption => {
+			const a = valuesA[caption] != null ? String(valuesA[caption]) : "";
+			const b = valuesB[caption] != null ? String(valuesB[caption]) : "";
+			const different = stripAnsi(a) !== stripAnsi(b);
+			data.push([different ? kleur.yellow().bold(caption) : caption, a, b]);
+		});
+
+		printHeader(title);
+		console.log(table(data, {
+			border: _.mapValues(getBorderCharacters("honeywell"), char => kleur.gray(char)),
+			drawHorizontalLine: (index, count) => index == 0 || index == 1 || index == count
+		}));
+	});
+}
+
 
 module.exports = function(vorpal, broker) {
 	// Broker info
 	vorpal
 		.removeIfExist("info")
 		.command("info", "Information about broker")
+		.option("--node <nodeID>", "show the information of a remote node")
+		.option("--compare <nodeID>", "compare the information with another node side by side")
 		.action((args, done) => {
-			const printHeader = (name) => {
-				const title = "  " + name + "  ";
-				const lines = "=".repeat(title.length);
-				console.log(kleur.yellow().bold(lines));
-				console.log(kleur.yellow().bold(title));
-				console.log(kleur.yellow().bold(lines));
-				console.log("");
-			};
-
-			const print = (caption, value) => {
-				console.log("   ", _.padEnd(caption, 25) + (value != null ? ": " + kleur.bold(value) : ""));
-			};
-
-			const printObject = (obj, level = 0) => {
-				const pad = "  ".repeat(level);
-				Object.keys(obj).forEach(key => {
-					const val = obj[key];
-					if (_.isString(val)) {
-						print(pad + key, kleur.green(`"${val}"`));
-					}
-					else if (_.isNumber(val)) {
-						print(pad + key, kleur.cyan(val));
-					}
-					else if (_.isBoolean(val)) {
-						print(pad + key, kleur.magenta(val));
-					}
-					else if (_.isBoolean(val)) {
-						print(pad + key, kleur.magenta(val));
-					}
-					else if (_.isFunction(val)) {
-						print(pad + key, kleur.blue(`[Function ${val.name}]`));
-					}
-					else if (_.isArray(val)) {
-						if (key == "middlewares") {
-							print(pad + key, val.map(v => {
-								if (_.isString(v)) return kleur.green(`"${v}"`);
-								if (_.isPlainObject(v) || _.isFunction) return kleur.green(`"${v.name}"`);
-							}).join(", "));
-						} else {
-							print(pad + key, kleur.blue("[" + val.join(", ") + "]"));
-						}
-					}
-					else if (_.isPlainObject(val) && level < 1) {
-						print(pad + key);
-						printObject(val, level + 1);
-					}
-				});
-			};
+			if (args.options.node || args.options.compare) {
+				const nodeA = args.options.node ? String(args.options.node) : broker.nodeID;
+				const nodeB = args.options.compare ? String(args.options.compare) : null;
+
+				Promise.all([
+					getNodeInfo(broker, nodeA),
+					nodeB ? getNodeInfo(broker, nodeB) : null
+				]).then(([sectionsA, sectionsB]) => {
+					console.log("");
+					if (sectionsB)
+						printComparison(sectionsA, sectionsB, nodeA, nodeB);
+					else
+						printSections(sectionsA);
+					done();
+				}).catch(err => done(kleur.red().bold(">> Can't get the node information: " + err.message)));
+				return;
+			}
 
 			console.log("");
 			const health = broker.getHealthStatus();
@@ -135,3 +310,7 @@ module.exports = function(vorpal, broker) {
 			done();
 		});
 };
+
+module.exports.getObjectRows = getObjectRows;
+module.exports.getNodeInfo = getNodeInfo;
+module.exports.printComparison = printComparison;
@@ -0,0 +1,183 @@
+"use strict";
+
+const kleur 							= require("kleur");
+const _ 								= require("lodash");
+const util 								= require("util");
+const { table, getBorderCharacters } 	= require("table");
+const { match } 						= require("../utils");
+const output 							= require("../output");
+
+const DEFAULT_HISTORY_SIZE = 100;
+
+module.exports = function(vorpal, broker) {
+	const listeners = new Map();
+	let history = [];
+	let counter = 0;
+
+	const printEvent = function(item) {
+		const groups = item.groups ? item.groups.join(", ") : kleur.gray("<all>");
+		vorpal.log(kleur.yellow().bold(`>> Event '${item.eventName}' received from '${item.nodeID}'`) + kleur.gray(` (type: ${item.type}, group: `) + groups + kleur.gray(`, time: ${new Date(item.timestamp).toISOString()})`));
+		vorpal.log(util.inspect(item.payload, { showHidden: false, depth: 4, colors: true }));
+	};
+
+	const addToHistory = function(listener, item) {
+		history.push(item);
+
+		// Keep only the last `historySize` events of this listener
+		const own = history.filter(h => h.listener == listener.pattern);
+		if (own.length > listener.historySize)
+			history = history.filter(h => h != own[0]);
+	};
+
+	// Register an event listener
+	vorpal
+		.removeIfExist("listener add")
+		.command("listener add <pattern>", "Subscribe to events and print the received ones")
+		.autocomplete({
+			data() {
+				return _.uniq(_.compact(broker.registry.getEventList({}).map(item => item && item.event ? item.event.name: null)));
+			}
+		})
+		.option("-g, --group <name>", "event group of the listener")
+		.option("--history [size]", "keep the last received events in history (default: 100)")
+		.option("-s, --silent", "don't print received events (only with --history)")
+		.validate(args => {
+			const size = args.options.history;
+			if (size != null && size !== true && !(Number.isInteger(Number(size)) && Number(size) > 0))
+				return kleur.red("The history size must be a positive integer.");
+			return true;
+		})
+		.action((args, done) => {
+			const pattern = args.pattern;
+			if (listeners.has(pattern))
+				return done(kleur.red().bold(`>> Listener for '${pattern}' is already registered.`));
+
+			const listener = {
+				pattern,
+				group: args.options.group,
+				historySize: args.options.history != null ? (args.options.history === true ? DEFAULT_HISTORY_SIZE : Number(args.options.history)) : 0,
+				silent: !!args.options.silent,
+				count: 0
+			};
+
+			const schema = {
+				name: `$repl-listener-${++counter}`,
+				events: {
+					[pattern]: {
+						context: true,
+						// Print the events to the session which has added the listener
+						handler: output.bind(ctx => {
+							if (!match(ctx.eventName, pattern))
+								return;
+
+							listener.count++;
+							const item = {
+								listener: pattern,
+								eventName: ctx.eventName,
+								type: ctx.eventType,
+								nodeID: ctx.nodeID,
+								groups: ctx.eventGroups,
+								payload: ctx.params,
+								timestamp: Date.now()
+							};
+
+							if (listener.historySize > 0)
+								addToHistory(listener, item);
+
+							if (!listener.silent)
+								printEvent(item);
+						})
+					}
+				}
+			};
+			if (listener.group)
+				schema.events[pattern].group = listener.group;
+
+			listener.service = broker.createService(schema);
+			listeners.set(pattern, listener);
+
+			console.log(kleur.green(`>> Listening '${pattern}' events...`));
+			done();
+		});
+
+	// Unregister an event listener
+	vorpal
+		.removeIfExist("listener remove")
+		.command("listener remove <pattern>", "Remove an event listener")
+		.autocomplete({
+			data() {
+				return Array.from(listeners.keys());
+			}
+		})
+		.action((args, done) => {
+			const listener = listeners.get(args.pattern);
+			if (!listener)
+				return done(kleur.red().bold(`>> No listener for '${args.pattern}'.`));
+
+			listeners.delete(args.pattern);
+			history = history.filter(h => h.listener != args.pattern);
+			broker.destroyService(listener.service)
+				.then(() => {
+					console.log(kleur.green(`>> Listener for '${args.pattern}' has been removed.`));
+					done();
+				})
+				.catch(err => done(kleur.red().bold(">> ERROR: " + err.message)));
+		});
+
+	// List event listeners
+	vorpal
+		.removeIfExist("listener list")
+		.command("listener list", "List of event listeners registered in REPL")
+		.action((args, done) => {
+			const data = [
+				[
+					kleur.bold("Pattern"),
+					kleur.bold("Group"),
+					kleur.bold("Received"),
+					kleur.bold("History")
+				]
+			];
+
+			listeners.forEach(listener => {
+				data.push([
+					listener.pattern,
+					listener.group || kleur.gray("<default>"),
+					listener.count,
+					listener.historySize > 0 ? `${history.filter(h => h.listener == listener.pattern).length} / ${listener.historySize}` : kleur.gray("off")
+				]);
+			});
+
+			const tableConf = {
+				border: _.mapValues(getBorderCharacters("honeywell"), char => kleur.gray(char)),
+				columns: {
+					2: { alignment: "right" },
+					3: { alignment: "right" }
+				},
+				drawHorizontalLine: (index, count) => index == 0 || index == 1 || index == count
+			};
+
+			console.log(table(data, tableConf));
+			done();
+		});
+
+	// Print received events from history
+	vorpal
+		.removeIfExist("listener history")
+		.command("listener history [pattern]", "Print the received events from history")
+		.option("--clear", "clear the history")
+		.action((args, done) => {
+			if (args.options.clear) {
+				history = args.pattern ? history.filter(item => !match(item.eventName, args.pattern)) : [];
+				console.log(kleur.yellow().bold(">> Event history has been cleared."));
+				return done();
+			}
+
+			const items = args.pattern ? history.filter(item => match(item.eventName, args.pattern)) : history;
+			if (items.length == 0)
+				console.log(kleur.gray(">> No events in history."));
+			else
+				items.forEach(printEvent);
+
+			done();
+		});
+};
@@ -1,23 +1,154 @@
 "use strict";
 
-const kleur 			= require("kleur");
-const fs 				= require("fs");
-const path 				= require("path");
+const kleur 							= require("kleur");
+const fs 								= require("fs");
+const path 								= require("path");
+const _ 								= require("lodash");
+const { table, getBorderCharacters } 	= require("table");
+const output 							= require("../output");
+const { watched, unwatch } 				= require("../watchers");
+
+const RELOAD_DELAY = 300;
+
+/**
+ * Collect the project files which are required by a module (except `node_modules`).
+ *
+ * @param {String} fName
+ * @param {Set?} files
+ * @returns {Array<String>}
+ */
+function getDependencies(fName, files = new Set()) {
+	const mod = require.cache[fName];
+	if (!mod)
+		return Array.from(files);
+
+	mod.children.forEach(child => {
+		if (child.filename.indexOf("node_modules") === -1 && !files.has(child.filename)) {
+			files.add(child.filename);
+			getDependencies(child.filename, files);
+		}
+	});
+
+	return Array.from(files);
+}
 
 module.exports = function(vorpal, broker) {
+	const watchFiles = function(item) {
+		item.watchers.forEach(watcher => watcher.close());
+
+		item.files = [item.filename].concat(getDependencies(item.filename));
+		// The messages of reloading are printed to the session which has started the watching
+		item.watchers = item.files.filter(f => fs.existsSync(f)).map(f => fs.watch(f, output.bind(() => {
+			// Editors emit several events on save
+			clearTimeout(item.timer);
+			item.timer = setTimeout(() => {
+				vorpal.log(kleur.magenta().bold(`>> The '${path.relative(process.cwd(), f)}' file has been changed.`));
+				reloadItem(item)
+					.catch(err => vorpal.log(kleur.red().bold(">> ERROR:"), err.message));
+			}, RELOAD_DELAY);
+		})));
+	};
+
+	const watchService = function(service) {
+		const item = watched.get(service.__filename) || {
+			filename: service.__filename,
+			watchers: [],
+			reloads: 0,
+			lastReload: null
+		};
+		item.service = service;
+		watched.set(item.filename, item);
+		watchFiles(item);
+	};
+
+	/**
+	 * Reload a service from its file with a clean `require` cache.
+	 *
+	 * @param {Service} service
+	 * @returns {Promise<Service>}
+	 */
+	const reloadService = function(service) {
+		const filename = service.__filename;
+		const item = watched.get(filename);
+
+		// It has been destroyed by the user
+		if (broker.services.indexOf(service) === -1) {
+			if (item)
+				unwatch(item);
+			return Promise.reject(new Error(`The '${service.fullName}' service is not running anymore. Stop watching '${filename}'.`));
+		}
+
+		vorpal.log(kleur.yellow(`>> Reload '${service.fullName}' service...`));
+
+		getDependencies(filename).concat(filename).forEach(f => delete require.cache[f]);
+
+		return broker.destroyService(service)
+			.then(() => {
+				if (!fs.existsSync(filename)) {
+					if (item)
+						unwatch(item);
+					throw new Error(`The service file is not exists! ${filename}`);
+				}
+
+				let newService;
+				try {
+					newService = broker.loadService(filename);
+				} catch(err) {
+					// Keep the watching to reload it after the fix
+					if (item)
+						item.service = { __filename: filename, fullName: service.fullName, failed: true };
+					throw err;
+				}
+
+				if (item) {
+					item.reloads++;
+					item.lastReload = new Date();
+					item.service = newService;
+					watchFiles(item);
+				}
+
+				vorpal.log(kleur.green(`>> Service '${newService.fullName}' has been reloaded.`));
+				return newService;
+			});
+	};
+
+	// A service which can't be loaded after a change is not in `broker.services`, so load it again.
+	const reloadItem = function(item) {
+		if (!item.service.failed)
+			return reloadService(item.service);
+
+		try {
+			item.service = broker.loadService(item.filename);
+		} catch(err) {
+			item.service = { __filename: item.filename, fullName: item.service.fullName, failed: true };
+			return Promise.reject(err);
+		}
+		item.reloads++;
+		item.lastReload = new Date();
+		watchFiles(item);
+		vorpal.log(kleur.green(`>> Service '${item.service.fullName}' has been reloaded.`));
+		return Promise.resolve(item.service);
+	};
+
 	// Register load service file
 	vorpal
 		.removeIfExist("load")
 		.command("load <servicePath>", "Load a service from file")
+		.option("-w, --watch", "reload the service when the file is changed")
 		.action((args, done) => {
 			let filePath = path.resolve(args.servicePath);
 			if (fs.existsSync(filePath)) {
 				console.log(kleur.yellow(`>> Load '${filePath}'...`));
 				let service = broker.loadService(filePath);
-				if (service)
+				if (service) {
 					console.log(kleur.green(">> Loaded successfully!"));
+					if (args.options.watch) {
+						watchService(service);
+						console.log(kleur.magenta(`>> Watching '${path.relative(process.cwd(), filePath)}'...`));
+					}
+				}
 			} else {
-				console.warn(kleur.red("The service file is not exists!", filePath));
+				return done(kleur.red("The service file is not exists! " + filePath));
 			}
 			done();
 		});
@@ -26,15 +157,104 @@ module.exports = function(vorpal, broker) {
 	vorpal
 		.removeIfExist("loadFolder")
 		.command("loadFolder <serviceFolder> [fileMask]", "Load all services from folder")
+		.option("-w, --watch", "reload the services when the files are changed")
 		.action((args, done) => {
 			let filePath = path.resolve(args.serviceFolder);
 			if (fs.existsSync(filePath)) {
 				console.log(kleur.yellow(`>> Load services from '${filePath}'...`));
+				const prevServices = broker.services.slice();
 				const count = broker.loadServices(filePath, args.fileMask);
 				console.log(kleur.green(`>> Loaded ${count} services!`));
+
+				if (args.options.watch) {
+					const services = broker.services.filter(svc => prevServices.indexOf(svc) === -1 && svc.__filename);
+					services.forEach(svc => watchService(svc));
+					console.log(kleur.magenta(`>> Watching ${services.length} service file(s)...`));
+				}
 			} else {
-				console.warn(kleur.red("The folder is not exists!", filePath));
+				return done(kleur.red("The folder is not exists! " + filePath));
 			}
 			done();
 		});
+
+	// Reload a service
+	vorpal
+		.removeIfExist("reload")
+		.command("reload <serviceName> [version]", "Reload a local service from its file")
+		.autocomplete({
+			data: () => _.uniq(broker.services.filter(svc => svc.__filename).map(svc => svc.name))
+		})
+		.action((args, done) => {
+			const serviceName = String(args.serviceName);
+			const service = broker.getLocalService(serviceName, args.version);
+
+			if (service && !service.__filename)
+				return done(kleur.red(`Service "${serviceName}" hasn't been loaded from a file!`));
+
+			let p;
+			if (service) {
+				p = reloadService(service);
+			} else {
+				// A failed reload of a watched service
+				const fullName = broker.ServiceFactory.getVersionedFullName(serviceName, args.version);
+				const item = Array.from(watched.values()).find(item => item.service.failed && item.service.fullName == fullName);
+				if (!item)
+					return done(kleur.red(`Service "${serviceName}" doesn't exists!`));
+				p = reloadItem(item);
+			}
+
+			p.then(() => done())
+				.catch(err => {
+					console.error(kleur.red(">> ERROR: " + err.message));
+					done(err);
+				});
+		});
+
+	// List the watched services
+	vorpal
+		.removeIfExist("watched")
+		.command("watched", "List of watched service files")
+		.action((args, done) => {
+			// The destroyed services are skipped. The failed ones are watched until they can be loaded again.
+			const items = Array.from(watched.values()).filter(item => item.service.failed || broker.services.indexOf(item.service) !== -1);
+
+			const data = [
+				[
+					kleur.bold("Service"),
+					kleur.bold("File"),
+					kleur.bold("Files"),
+					kleur.bold("Reloads"),
+					kleur.bold("Last reload")
+				]
+			];
+
+			items.forEach(item => {
+				data.push([
+					item.service.failed ? kleur.red(item.service.fullName + " (failed)") : item.service.fullName,
+					path.relative(process.cwd(), item.filename),
+					item.files.length,
+					item.reloads,
+					item.lastReload ? item.lastReload.toLocaleTimeString() : kleur.gray("-")
+				]);
+			});
+
+			if (items.length == 0) {
+				console.log(kleur.gray(">> No watched service files. Use 'load --watch' or 'loadFolder --watch'."));
+				return done();
+			}
+
+			const tableConf = {
+				border: _.mapValues(getBorderCharacters("honeywell"), char => kleur.gray(char)),
+				columns: {
+					2: { alignment: "right" },
+					3: { alignment: "right" }
+				},
+				drawHorizontalLine: (index, count) => index == 0 || index == 1 || index == count
+			};
+
+			console.log(table(data, tableConf));
+			done();
+		});
 };
+
+module.exports.getDependencies = getDependencies;
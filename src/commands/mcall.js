@@ -0,0 +1,196 @@
+"use strict";
+
+const kleur 							= require("kleur");
+const _ 								= require("lodash");
+const util 								= require("util");
+const crypto 							= require("crypto");
+const humanize 							= require("tiny-human-time").short;
+const { table, getBorderCharacters } 	= require("table");
+const { convertArgs } 					= require("../utils");
+const variables 						= require("../variables");
+
+// Command options which are not part of the params
+const COMMAND_OPTIONS = ["timeout", "diff"];
+
+/**
+ * Serialize a value to JSON with sorted object keys, so that the
+ * equal responses have the same hash regardless of the key order.
+ *
+ * @param {any} value
+ * @returns {String}
+ */
+function stableStringify(value) {
+	return JSON.stringify(value, (key, v) => {
+		if (_.isPlainObject(v))
+			return _.fromPairs(Object.keys(v).sort().map(k => [k, v[k]]));
+		return v;
+	});
+}
+
+function hashResponse(res) {
+	const str = res === undefined ? "undefined" : stableStringify(res);
+	return crypto.createHash("sha1").update(str).digest("hex").substring(0, 8);
+}
+
+function formatValue(value) {
+	return util.inspect(value, { showHidden: false, depth: 1, colors: true, breakLength: Infinity });
+}
+
+/**
+ * Collect the structural differences of two values.
+ *
+ * @param {any} a
+ * @param {any} b
+ * @param {String?} path
+ * @param {Array?} changes
+ * @returns {Array<Object>} List of `{ type: "added"|"removed"|"changed", path, from, to }`
+ */
+function diffValues(a, b, path = "", changes = []) {
+	const bothArrays = Array.isArray(a) && Array.isArray(b);
+	const bothObjects = _.isPlainObject(a) && _.isPlainObject(b);
+
+	if (bothArrays || bothObjects) {
+		const keys = bothArrays
+			? _.range(Math.max(a.length, b.length))
+			: _.union(Object.keys(a), Object.keys(b));
+
+		keys.forEach(key => {
+			const p = bothArrays ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+			if (!_.has(b, key))
+				changes.push({ type: "removed", path: p, from: a[key] });
+			else if (!_.has(a, key))
+				changes.push({ type: "added", path: p, to: b[key] });
+			else
+				diffValues(a[key], b[key], p, changes);
+		});
+	} else if (!_.isEqual(a, b)) {
+		changes.push({ type: "changed", path: path || "<root>", from: a, to: b });
+	}
+
+	return changes;
+}
+
+function printDiff(refResult, result) {
+	console.log(kleur.yellow().bold(`>> Differences between '${refResult.nodeID}' and '${result.nodeID}':`));
+
+	diffValues(refResult.response, result.response).forEach(change => {
+		if (change.type == "added")
+			console.log(kleur.green(`  + ${change.path}: `) + formatValue(change.to));
+		else if (change.type == "removed")
+			console.log(kleur.red(`  - ${change.path}: `) + formatValue(change.from));
+		else
+			console.log(kleur.yellow(`  ~ ${change.path}: `) + formatValue(change.from) + " → " + formatValue(change.to));
+	});
+	console.log("");
+}
+
+function callNode(broker, actionName, payload, opts, nodeID) {
+	const startTime = process.hrtime();
+	const getDuration = () => {
+		const diff = process.hrtime(startTime);
+		return (diff[0] + diff[1] / 1e9) * 1000;
+	};
+
+	return broker.call(actionName, payload, Object.assign({}, opts, { nodeID, meta: Object.assign({}, opts.meta) }))
+		.then(response => ({ nodeID, duration: getDuration(), response, hash: hashResponse(response) }))
+		.catch(error => ({ nodeID, duration: getDuration(), error }));
+}
+
+module.exports = function(vorpal, broker) {
+	// Call an action on all nodes
+	vorpal
+		.removeIfExist("mcall")
+		.command("mcall <actionName> [jsonParams] [meta]", "Call an action on every available node and compare the responses")
+		.autocomplete({
+			data() {
+				return _.uniq(_.compact(broker.registry.getActionList({}).map(item => item && item.action ? item.action.name: null)));
+			}
+		})
+		.option("--timeout <ms>", "Request timeout")
+		.option("--diff", "Print the differences of the responses")
+		.allowUnknownOptions()
+		.action((args, done) => {
+			let payload;
+			let meta = {};
+
+			try {
+				args.options = variables.interpolate(args.options);
+				payload = args.jsonParams != null
+					? variables.parseJSON(args.jsonParams)
+					: _.omit(convertArgs(args.options), COMMAND_OPTIONS);
+
+				if (args.meta != null)
+					meta = variables.parseJSON(args.meta);
+			} catch(err) {
+				return done(kleur.red().bold(">> Can't parse the params: " + err.message));
+			}
+
+			const list = broker.registry.getActionEndpoints(args.actionName);
+			const nodeIDs = list ? _.uniq(list.endpoints.filter(ep => ep.isAvailable).map(ep => ep.id)).sort() : [];
+			if (nodeIDs.length == 0)
+				return done(kleur.red().bold(`>> Action '${args.actionName}' is not available on any node.`));
+
+			const opts = { meta: Object.assign(meta, { $repl: true }) };
+			if (args.options.timeout != null)
+				opts.timeout = Number(args.options.timeout);
+
+			console.log(kleur.yellow().bold(`>> Call '${args.actionName}' on ${nodeIDs.length} node(s) with params:`), payload);
+
+			Promise.all(nodeIDs.map(nodeID => callNode(broker, args.actionName, payload, opts, nodeID)))
+				.then(results => {
+					const success = results.filter(res => !res.error);
+					const hashes = _.uniq(success.map(res => res.hash));
+
+					const data = [
+						[
+							kleur.bold("Node"),
+							kleur.bold("Duration"),
+							kleur.bold("Status"),
+							kleur.bold("Hash")
+						]
+					];
+
+					results.forEach(res => {
+						data.push([
+							res.nodeID == broker.nodeID ? kleur.gray(res.nodeID + " (*)") : res.nodeID,
+							humanize(res.duration),
+							res.error ? kleur.red().bold("ERROR: ") + kleur.red(res.error.message) : kleur.green().bold("OK"),
+							res.error ? "" : (hashes.length > 1 ? kleur.yellow(res.hash) : res.hash)
+						]);
+					});
+
+					const tableConf = {
+						border: _.mapValues(getBorderCharacters("honeywell"), char => kleur.gray(char)),
+						columns: {
+							1: { alignment: "right" }
+						},
+						drawHorizontalLine: (index, count) => index == 0 || index == 1 || index == count
+					};
+
+					console.log(table(data, tableConf));
+
+					if (hashes.length > 1)
+						console.log(kleur.yellow().bold(`>> The responses are different (${hashes.length} variants).`));
+					else if (hashes.length == 1)
+						console.log(kleur.green().bold(results.length == success.length ? ">> All responses are equal." : ">> All successful responses are equal."));
+
+					if (args.options.diff && hashes.length > 1) {
+						console.log("");
+						const ref = success[0];
+						success.slice(1)
+							.filter(res => res.hash != ref.hash)
+							.forEach(res => printDiff(ref, res));
+					}
+
+					if (success.length == 0)
+						return done(kleur.red().bold(">> All nodes have returned an error."));
+
+					done();
+				})
+				.catch(err => done(err));
+		});
+};
+
+module.exports.stableStringify = stableStringify;
+module.exports.hashResponse = hashResponse;
+module.exports.diffValues = diffValues;
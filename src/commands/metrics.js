@@ -3,6 +3,13 @@
 const kleur 							= require("kleur");
 const _ 								= require("lodash");
 const { table, getBorderCharacters } 	= require("table");
+const { formatNumber, formatRows, validateFormat, printOutput, OUTPUT_FORMATS } = require("../utils");
+const { exportMetrics, EXPORT_FORMATS } = require("../metrics-export");
+const { createLiveView } 				= require("../watch");
+
+const DEFAULT_WATCH_INTERVAL = 1;
+const SPARKLINE_LENGTH = 20;
+const SPARKLINE_CHARS = "▁▂▃▄▅▆▇█";
 
 function labelsToStr(labels) {
 	const keys = Object.keys(labels);
@@ -12,75 +19,221 @@ function labelsToStr(labels) {
 	return kleur.gray("{") + keys.map(key => `${kleur.gray(key)}: ${kleur.magenta("" + labels[key])}`).join(", ") + kleur.gray("}");
 }
 
+function hasQuantiles(item) {
+	return item.quantiles != null && Object.keys(item.quantiles).length > 0;
+}
+
+function getMetricValue(metric, item) {
+	if (metric.type == "histogram") {
+		// Histogram
+		const values = hasQuantiles(item)
+			? _.mapKeys(item.quantiles, (v, q) => "p" + Number((q * 100).toFixed(3)))
+			: _.pick(item, ["min", "mean", "max"]);
+
+		return _.map(values, (value, key) => `${kleur.gray(key)}: ${kleur.green().bold(value != null ? Number(value).toFixed(2) : "-")}`).join(", ");
+	}
+	if (_.isString(item.value))
+		return kleur.yellow().bold(`"${item.value}"`);
+	return kleur.green().bold(item.value);
+}
+
+function sparkline(values) {
+	const numbers = values.filter(value => value != null);
+	if (numbers.length == 0)
+		return "";
+
+	const min = _.min(numbers);
+	const max = _.max(numbers);
+	return values.map(value => {
+		if (value == null)
+			return " ";
+		const idx = max > min ? Math.round((value - min) / (max - min) * (SPARKLINE_CHARS.length - 1)) : 0;
+		return SPARKLINE_CHARS[idx];
+	}).join("");
+}
+
+/**
+ * Update the watch state of a metric value. It calculates the per-second rate
+ * of counters & histogram counts and stores the recent values for the sparkline.
+ *
+ * @param {Map} state
+ * @param {Object} metric
+ * @param {Object} item
+ * @param {Number} now
+ * @returns {Object} `{ rate, trend }`
+ */
+function updateWatchState(state, metric, item, now) {
+	const key = metric.name + JSON.stringify(item.labels);
+	let entry = state.get(key);
+	if (!entry) {
+		entry = { values: [], last: null };
+		state.set(key, entry);
+	}
+
+	let rate = null;
+	const current = metric.type == "histogram" ? item.count : item.value;
+	if ((metric.type == "counter" || metric.type == "histogram") && entry.last && now > entry.last.time)
+		rate = (current - entry.last.value) / ((now - entry.last.time) / 1000);
+	entry.last = { value: current, time: now };
+
+	let trendValue = null;
+	if (metric.type == "counter")
+		trendValue = rate;
+	else if (metric.type == "gauge" && _.isNumber(item.value))
+		trendValue = item.value;
+	else if (metric.type == "histogram")
+		trendValue = item.mean;
+
+	if (metric.type != "counter" || rate != null) {
+		entry.values.push(trendValue);
+		if (entry.values.length > SPARKLINE_LENGTH)
+			entry.values.shift();
+	}
+
+	return { rate, trend: sparkline(entry.values) };
+}
+
 module.exports = function(vorpal, broker) {
+	let liveView;
+
 	// List actions
 	vorpal
 		.removeIfExist("metrics")
-		.command("metrics", "List metrics")
+		.command("metrics [filename]", "List metrics")
 		.option("-f, --filter <match>", "filter metrics (e.g.: 'moleculer.**')")
+		.option("-w, --watch [seconds]", `refresh the metrics periodically (default: ${DEFAULT_WATCH_INTERVAL}s)`)
+		.option("--export <format>", "export metrics snapshot to [filename] (prometheus, json)", EXPORT_FORMATS)
+		.option("--format <format>", "output format (table, json, csv, yaml)", OUTPUT_FORMATS)
+		.option("--out <filename>", "save output to a file")
+		.validate(args => {
+			if (args.options.export != null) {
+				if (EXPORT_FORMATS.indexOf(args.options.export) == -1)
+					return kleur.red(`Invalid export format '${args.options.export}'. Available formats: ${EXPORT_FORMATS.join(", ")}`);
+				if (args.options.watch != null || args.options.format)
+					return kleur.red("The --export option can't be used with --watch or --format.");
+			} else if (args.filename) {
+				return kleur.red("The [filename] argument can be used only with the --export option.");
+			}
+			if (args.options.watch != null) {
+				if (args.options.watch !== true && !(Number(args.options.watch) > 0))
+					return kleur.red("The watch interval must be a positive number.");
+				if (args.options.format || args.options.out)
+					return kleur.red("The --watch option can't be used with --format or --out.");
+			}
+			return validateFormat(args);
+		})
+		.cancel(() => {
+			if (liveView) {
+				liveView.stop();
+				liveView = null;
+			}
+		})
 		.action((args, done) => {
 			if (!broker.isMetricsEnabled()) {
-				console.error(kleur.red().bold("Metrics feature is disabled."));
-				return done()
+				return done(kleur.red().bold("Metrics feature is disabled."));
 			}
 
-			const snapshot = broker.metrics.list({ includes: args.options.filter });
+			if (args.options.export) {
+				const list = broker.metrics.list({ includes: args.options.filter });
+				printOutput(exportMetrics(list, args.options.export, broker), args.filename || args.options.out);
+				return done();
+			}
 
-			const getMetricValue = function(metric, item) {
-				if (metric.type == "histogram") {
-					// Histogram
-					return ["min", "mean", "max"].map(key => `${kleur.gray(key)}: ${kleur.green().bold("" + Number(item[key]).toFixed(2))}`).join(", ");
-				}
-				if (_.isString(item.value))
-					return kleur.yellow().bold(`"${item.value}"`);
-				return kleur.green().bold(item.value);
-			};
+			const watchState = args.options.watch ? new Map() : null;
+
+			const createOutput = function() {
+				const snapshot = broker.metrics.list({ includes: args.options.filter });
+				const now = Date.now();
+
+				const data = [
+					[
+						kleur.bold("Name"),
+						kleur.bold("Type"),
+						kleur.bold("Labels"),
+						kleur.bold("Value")
+					].concat(watchState ? [kleur.bold("Rate/s"), kleur.bold("Trend")] : [])
+				];
+
+				let hLines = [];
+				let rows = [];
+
+				snapshot.sort((a, b) => a.name.localeCompare(b.name));
+
+				snapshot.forEach(metric => {
+					if (metric.values.length == 0) {
+						rows.push({ name: metric.name, type: metric.type, labels: {}, value: null });
+						data.push([
+							metric.name,
+							metric.type,
+							"-",
+							kleur.gray("<no values>")
+						].concat(watchState ? ["", ""] : []));
+						hLines.push(data.length);
+						return;
+					}
+
+					metric.values.forEach(item => {
+						rows.push({
+							name: metric.name,
+							type: metric.type,
+							labels: item.labels,
+							value: metric.type == "histogram" ? _.pick(item, ["min", "mean", "max", "quantiles"]) : item.value
+						});
 
-			const data = [
-				[
-					kleur.bold("Name"),
-					kleur.bold("Type"),
-					kleur.bold("Labels"),
-					kleur.bold("Value")
-				]
-			];
-
-			let hLines = [];
-
-			snapshot.sort((a, b) => a.name.localeCompare(b.name));
-
-			snapshot.forEach(metric => {
-				if (metric.values.size == 0) {
-					data.push([
-						metric.name,
-						metric.type,
-						"-",
-						kleur.gray("<no values>")
-					]);
-					return;
-				}
-
-				metric.values.forEach(item => {
-					const labelStr = labelsToStr(item.labels);
-					data.push([
-						metric.name,
-						metric.type,
-						labelStr,
-						getMetricValue(metric, item)
-					]);
+						const labelStr = labelsToStr(item.labels);
+						const row = [
+							metric.name,
+							metric.type,
+							labelStr,
+							getMetricValue(metric, item)
+						];
+
+						if (watchState) {
+							const { rate, trend } = updateWatchState(watchState, metric, item, now);
+							row.push(rate != null ? kleur.cyan().bold(formatNumber(rate, 2)) : kleur.gray("-"));
+							row.push(kleur.cyan(trend));
+						}
+
+						data.push(row);
+					});
+					hLines.push(data.length);
 				});
-				hLines.push(data.length);
-			});
-
-			const tableConf = {
-				border: _.mapValues(getBorderCharacters("honeywell"), char => kleur.gray(char)),
-				columns: {
-				},
-				drawHorizontalLine: (index, count) => index == 0 || index == 1 || index == count || hLines.indexOf(index) !== -1
+
+				const tableConf = {
+					border: _.mapValues(getBorderCharacters("honeywell"), char => kleur.gray(char)),
+					columns: watchState ? {
+						4: { alignment: "right" }
+					} : {},
+					drawHorizontalLine: (index, count) => index == 0 || index == 1 || index == count || hLines.indexOf(index) !== -1
+				};
+
+				return { data, rows, tableConf };
 			};
 
-			console.log(table(data, tableConf));
+			if (watchState) {
+				const interval = args.options.watch === true ? DEFAULT_WATCH_INTERVAL : Number(args.options.watch);
+				liveView = createLiveView({
+					interval,
+					render() {
+						const { data, tableConf } = createOutput();
+						return kleur.gray(`>> ${new Date().toLocaleTimeString()} - refreshing in every ${interval}s. Press 'q' to stop.`) + "\n" + table(data, tableConf);
+					},
+					onStop() {
+						liveView = null;
+						done();
+					}
+				});
+				return;
+			}
+
+			const { data, rows, tableConf } = createOutput();
+
+			const format = args.options.format || "table";
+			printOutput(format == "table" ? table(data, tableConf) : formatRows(rows, format), args.options.out);
 
 			done();
 		});
 };
+
+module.exports.sparkline = sparkline;
+module.exports.updateWatchState = updateWatchState;
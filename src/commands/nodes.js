@@ -6,9 +6,98 @@ const path				= require("path");
 const util 				= require("util");
 const _ 				= require("lodash");
 const { table, getBorderCharacters } 	= require("table");
-const { match } 		= require("../utils");
+const { match, formatRows, validateFormat, printOutput, OUTPUT_FORMATS } = require("../utils");
+const { createLiveView } 				= require("../watch");
+const registryDiff 						= require("../registry-diff");
+
+const DEFAULT_WATCH_INTERVAL = 2;
+const HIGHLIGHT_TIME = 5000;
+
+function getServiceNames(node) {
+	return _.map(node.services, service => service.fullName || (service.version != null ? `v${service.version}.${service.name}` : service.name)).sort();
+}
+
+/**
+ * Track the changes of nodes between the refreshes of the watch mode.
+ *
+ * @returns {Object}
+ */
+function createChangeTracker() {
+	const nodes = new Map();
+	let initialized = false;
+
+	return {
+		/**
+		 * Update the state of the nodes & store the time of the changed fields.
+		 *
+		 * @param {Array<Object>} list
+		 */
+		update(list) {
+			const now = Date.now();
+			list.forEach(node => {
+				const values = {
+					available: node.available,
+					services: getServiceNames(node).join(","),
+					version: node.client.version
+				};
+
+				const entry = nodes.get(node.id);
+				if (!entry) {
+					nodes.set(node.id, { values, changed: initialized ? _.mapValues(values, () => now) : {}, isNew: initialized });
+					return;
+				}
+
+				_.forIn(values, (value, key) => {
+					if (entry.values[key] !== value)
+						entry.changed[key] = now;
+				});
+				entry.values = values;
+			});
+			initialized = true;
+		},
+
+		/**
+		 * Highlight the value if the field has been changed recently.
+		 *
+		 * @param {String} nodeID
+		 * @param {String} field
+		 * @param {String} str
+		 * @returns {String}
+		 */
+		highlight(nodeID, field, str) {
+			const entry = nodes.get(nodeID);
+			if (entry && entry.changed[field] && Date.now() - entry.changed[field] < HIGHLIGHT_TIME)
+				return kleur.inverse(str);
+			return str;
+		}
+	};
+}
+
+/**
+ * Create the log line of a node event.
+ *
+ * @param {String} msg
+ * @returns {String}
+ */
+function eventLine(msg) {
+	return kleur.gray(`[${new Date().toLocaleTimeString()}] `) + msg;
+}
 
 module.exports = function(vorpal, broker) {
+	let liveView;
+	let eventHandlers;
+
+	const stopWatch = function() {
+		if (liveView) {
+			liveView.stop();
+			liveView = null;
+		}
+		if (eventHandlers) {
+			_.forIn(eventHandlers, (handler, event) => broker.localBus.removeListener(event, handler));
+			eventHandlers = null;
+		}
+	};
+
 	// List nodes
 	vorpal
 		.removeIfExist("nodes")
@@ -18,9 +107,23 @@ module.exports = function(vorpal, broker) {
 		.option("-f, --filter <match>", "filter nodes (e.g.: 'node-*')")
 		.option("--raw", "print service registry to JSON")
 		.option("--save [filename]", "save service registry to a JSON file")
+		.option("--diff <filename>", "compare a saved service registry with the live registry")
+		.option("--format <format>", "output format (table, json, csv, yaml)", OUTPUT_FORMATS)
+		.option("--out <filename>", "save output to a file")
+		.option("-w, --watch [seconds]", `refresh the list periodically & log the node events (default: ${DEFAULT_WATCH_INTERVAL}s)`)
+		.validate(args => {
+			if (args.options.watch != null) {
+				if (args.options.watch !== true && !(Number(args.options.watch) > 0))
+					return kleur.red("The watch interval must be a positive number.");
+				if (args.options.format || args.options.out || args.options.save || args.options.raw)
+					return kleur.red("The --watch option can't be used with --format, --out, --save or --raw.");
+			}
+			return validateFormat(args);
+		})
+		.cancel(() => {
+			stopWatch();
+		})
 		.action((args, done) => {
-			const nodes = broker.registry.getNodeList({ onlyAvailable: false, withServices: true });
-
 			if (args.options.save) {
 				const fName = path.resolve(_.isString(args.options.save) ? args.options.save : "nodes.json");
 				const nodes = broker.registry.getNodeRawList();
@@ -29,88 +132,182 @@ module.exports = function(vorpal, broker) {
 				return done();
 			}
 
+			if (args.options.diff) {
+				let snapshot;
+				try {
+					snapshot = registryDiff.loadSnapshot(args.options.diff, broker);
+				} catch(err) {
+					return done(kleur.red().bold(">> " + err.message));
+				}
+
+				console.log(kleur.yellow().bold(`>> Differences between '${path.resolve(args.options.diff)}' and the live registry:`));
+				registryDiff.printNodesDiff(registryDiff.diffNodes(snapshot, registryDiff.getRegistrySnapshot(broker)));
+				return done();
+			}
+
 			if (args.options.raw) {
 				const nodes = broker.registry.getNodeRawList();
 				console.log(util.inspect(nodes, { showHidden: false, depth: 4, colors: true }));
 				return done();
 			}
 
-			// action, nodeID, cached, CB state, description?, params?
-			const data = [];
-			data.push([
-				kleur.bold("Node ID"),
-				kleur.bold("Services"),
-				kleur.bold("Version"),
-				kleur.bold("Client"),
-				kleur.bold("IP"),
-				kleur.bold("State"),
-				kleur.bold("CPU")
-			]);
+			const createOutput = function(tracker) {
+				const nodes = broker.registry.getNodeList({ onlyAvailable: false, withServices: true });
+				if (tracker)
+					tracker.update(nodes);
 
-			let hLines = [];
+				const hl = (node, field, str) => tracker ? tracker.highlight(node.id, field, str) : str;
 
-			nodes.sort((a, b) => a.id.localeCompare(b.id));
+				// action, nodeID, cached, CB state, description?, params?
+				const data = [];
+				data.push([
+					kleur.bold("Node ID"),
+					kleur.bold("Services"),
+					kleur.bold("Version"),
+					kleur.bold("Client"),
+					kleur.bold("IP"),
+					kleur.bold("State"),
+					kleur.bold("CPU")
+				]);
 
-			nodes.forEach(node => {
-				if (!args.options.all && !node.available) return;
+				let hLines = [];
+				let rows = [];
 
-				if (args.options.filter && !match(node.id, args.options.filter))
-					return;
+				nodes.sort((a, b) => a.id.localeCompare(b.id));
 
-				let ip = "?";
-				if (node.ipList) {
-					if (node.ipList.length == 1)
-						ip = node.ipList[0];
-					else if (node.ipList.length > 1)
-						ip = node.ipList[0] + `  (+${node.ipList.length - 1})`;
-				}
+				nodes.forEach(node => {
+					if (!args.options.all && !node.available) return;
 
-				let cpu = "?";
-				if (node.cpu != null) {
-					const width = 20;
-					const c = Math.round(node.cpu / (100 / width));
-					cpu = ["["].concat(Array(c).fill("■"), Array(width - c).fill("."), ["] ", node.cpu.toFixed(0), "%"]).join("");
-				}
+					if (args.options.filter && !match(node.id, args.options.filter))
+						return;
 
-				data.push([
-					node.id == broker.nodeID ? kleur.gray(node.id + " (*)") : node.id,
-					node.services ? Object.keys(node.services).length : 0,
-					node.client.version,
-					node.client.type,
-					ip,
-					node.available ? kleur.bgGreen().black(" ONLINE "):kleur.bgRed().white().bold(" OFFLINE "),
-					cpu
-				]);
+					let ip = "?";
+					if (node.ipList) {
+						if (node.ipList.length == 1)
+							ip = node.ipList[0];
+						else if (node.ipList.length > 1)
+							ip = node.ipList[0] + `  (+${node.ipList.length - 1})`;
+					}
 
-				if (args.options.details && node.services && Object.keys(node.services).length > 0) {
-					_.forIn(node.services, service => {
-						data.push([
-							"",
-							service.name,
-							service.version || "-",
-							"",
-							"",
-							"",
-							""
-						]);
-					});
-					hLines.push(data.length);
-				}
-			});
+					let cpu = "?";
+					if (node.cpu != null) {
+						const width = 20;
+						const c = Math.round(node.cpu / (100 / width));
+						cpu = ["["].concat(Array(c).fill("■"), Array(width - c).fill("."), ["] ", node.cpu.toFixed(0), "%"]).join("");
+					}
+
+					const row = {
+						nodeID: node.id,
+						local: node.id == broker.nodeID,
+						services: node.services ? Object.keys(node.services).length : 0,
+						version: node.client.version,
+						client: node.client.type,
+						ip: node.ipList,
+						available: node.available,
+						cpu: node.cpu
+					};
+					rows.push(row);
+
+					data.push([
+						node.id == broker.nodeID ? kleur.gray(node.id + " (*)") : node.id,
+						hl(node, "services", node.services ? Object.keys(node.services).length : 0),
+						hl(node, "version", node.client.version),
+						node.client.type,
+						ip,
+						hl(node, "available", node.available ? kleur.bgGreen().black(" ONLINE "):kleur.bgRed().white().bold(" OFFLINE ")),
+						cpu
+					]);
 
-			const tableConf = {
-				border: _.mapValues(getBorderCharacters("honeywell"), (char) => {
-					return kleur.gray(char);
-				}),
-				columns: {
-					2: { alignment: "right" },
-					5: { alignment: "right" }
-				},
-				drawHorizontalLine: (index, count) => index == 0 || index == 1 || index == count || hLines.indexOf(index) !== -1
+					if (args.options.details && node.services && Object.keys(node.services).length > 0) {
+						row.serviceList = _.map(node.services, service => ({ name: service.name, version: service.version }));
+						_.forIn(node.services, service => {
+							data.push([
+								"",
+								service.name,
+								service.version || "-",
+								"",
+								"",
+								"",
+								""
+							]);
+						});
+						hLines.push(data.length);
+					}
+				});
+
+				const tableConf = {
+					border: _.mapValues(getBorderCharacters("honeywell"), (char) => {
+						return kleur.gray(char);
+					}),
+					columns: {
+						2: { alignment: "right" },
+						5: { alignment: "right" }
+					},
+					drawHorizontalLine: (index, count) => index == 0 || index == 1 || index == count || hLines.indexOf(index) !== -1
+				};
+
+				return { data, rows, tableConf };
 			};
 
-			console.log(table(data, tableConf));
+			if (args.options.watch) {
+				const interval = args.options.watch === true ? DEFAULT_WATCH_INTERVAL : Number(args.options.watch);
+				const tracker = createChangeTracker();
+				const serviceLists = new Map(broker.registry.getNodeList({ onlyAvailable: true, withServices: true }).map(node => [node.id, getServiceNames(node)]));
+
+				const log = msg => liveView && liveView.log(eventLine(msg));
+
+				// Internal events are emitted on the local bus as well
+				eventHandlers = {
+					"$node.connected"({ node, reconnected }) {
+						serviceLists.set(node.id, getServiceNames(node));
+						log(kleur.green().bold(`Node '${node.id}' ${reconnected ? "reconnected" : "connected"}`) + kleur.gray(` (${node.services ? node.services.length : 0} services)`));
+					},
+					"$node.disconnected"({ node, unexpected }) {
+						serviceLists.delete(node.id);
+						if (unexpected)
+							log(kleur.red().bold(`Node '${node.id}' disconnected unexpectedly`));
+						else
+							log(kleur.yellow().bold(`Node '${node.id}' disconnected gracefully`));
+					},
+					"$services.changed"() {
+						broker.registry.getNodeList({ onlyAvailable: true, withServices: true }).forEach(node => {
+							const prev = serviceLists.get(node.id);
+							const curr = getServiceNames(node);
+							serviceLists.set(node.id, curr);
+							if (!prev)
+								return;
+
+							const added = _.difference(curr, prev);
+							const removed = _.difference(prev, curr);
+							if (added.length > 0 || removed.length > 0) {
+								log(kleur.cyan().bold(`Services of '${node.id}' changed: `) + added.map(name => kleur.green("+" + name)).concat(removed.map(name => kleur.red("-" + name))).join(", "));
+							}
+						});
+					}
+				};
+				_.forIn(eventHandlers, (handler, event) => broker.localBus.on(event, handler));
+
+				liveView = createLiveView({
+					interval,
+					render() {
+						const { data, tableConf } = createOutput(tracker);
+						return kleur.gray(`>> ${new Date().toLocaleTimeString()} - refreshing in every ${interval}s. Press 'q' to stop.`) + "\n" + table(data, tableConf);
+					},
+					onStop() {
+						stopWatch();
+						done();
+					}
+				});
+				return;
+			}
+
+			const { data, rows, tableConf } = createOutput();
+
+			const format = args.options.format || "table";
+			printOutput(format == "table" ? table(data, tableConf) : formatRows(rows, format), args.options.out);
 
 			done();
 		});
 };
+
+module.exports.createChangeTracker = createChangeTracker;
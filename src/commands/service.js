@@ -0,0 +1,206 @@
+"use strict";
+
+const kleur 							= require("kleur");
+const _ 								= require("lodash");
+const util 								= require("util");
+const { table, getBorderCharacters } 	= require("table");
+const { getServiceDependencies } 		= require("../graph");
+const { printHeader, print } 			= require("../utils");
+
+// Setting keys which values are masked
+const SECRET_KEY_RE = /passw|secret|token|api[-_]?key|private|credential/i;
+const MASK = "********";
+
+/**
+ * Mask the values of the secret-looking keys in settings.
+ * The whole value is masked, even if it's an object (e.g. `credentials: { user, pass }`).
+ *
+ * @param {any} value
+ * @returns {any}
+ */
+function maskSecrets(value) {
+	if (Array.isArray(value))
+		return value.map(maskSecrets);
+
+	if (_.isPlainObject(value)) {
+		return _.mapValues(value, (v, key) => {
+			if (SECRET_KEY_RE.test(key) && v != null)
+				return MASK;
+			return maskSecrets(v);
+		});
+	}
+
+	return value;
+}
+
+function printSection(title) {
+	console.log(kleur.yellow().bold(title));
+}
+
+function printValue(value) {
+	if (_.isEmpty(value)) {
+		console.log("   ", kleur.gray("<None>"));
+	} else {
+		const str = util.inspect(value, { showHidden: false, depth: 4, colors: true });
+		console.log(str.split("\n").map(line => "    " + line).join("\n"));
+	}
+	console.log("");
+}
+
+function printTable(data, columns) {
+	const tableConf = {
+		border: _.mapValues(getBorderCharacters("honeywell"), char => kleur.gray(char)),
+		columns,
+		// The `count` argument contains the lines of the multi-line cells as well
+		drawHorizontalLine: index => index == 0 || index == 1 || index == data.length
+	};
+
+	console.log(table(data, tableConf));
+}
+
+function formatCache(cache) {
+	if (!cache)
+		return kleur.gray("-");
+
+	const items = [];
+	if (_.isObject(cache)) {
+		if (cache.enabled === false)
+			return kleur.gray("disabled");
+		if (Array.isArray(cache.keys))
+			items.push(`keys: ${cache.keys.join(", ")}`);
+		if (cache.ttl != null)
+			items.push(`ttl: ${cache.ttl}s`);
+	}
+	return kleur.green("yes") + (items.length > 0 ? kleur.gray(` (${items.join(", ")})`) : "");
+}
+
+function formatParams(params) {
+	if (!params)
+		return kleur.gray("-");
+
+	return util.inspect(params, { showHidden: false, depth: null, colors: true, breakLength: 60 });
+}
+
+module.exports = function(vorpal, broker) {
+	// Inspect a service
+	vorpal
+		.removeIfExist("service")
+		.command("service <serviceName> [version]", "Print the details of a service")
+		.autocomplete({
+			data() {
+				return _.uniq(broker.registry.getServiceList({}).map(svc => svc.name));
+			}
+		})
+		.action((args, done) => {
+			const serviceName = String(args.serviceName);
+			const services = broker.registry.getServiceList({ withActions: true, withEvents: true })
+				.filter(svc => svc.name == serviceName || svc.fullName == serviceName)
+				.filter(svc => args.version == null || String(svc.version) == String(args.version).replace(/^v/, ""));
+
+			if (services.length == 0)
+				return done(kleur.red().bold(`>> Service '${serviceName}'${args.version != null ? ` (version: ${args.version})` : ""} is not found.`));
+
+			// Show the details of the latest version & the local service first
+			const versions = _.uniq(services.map(svc => svc.version));
+			const sorted = _.sortBy(services, [svc => -(Number(svc.version) || 0), svc => svc.nodeID != broker.nodeID, svc => !svc.available]);
+			const svc = sorted[0];
+
+			printHeader(`Service '${svc.fullName}'`);
+			print("Name", svc.name);
+			print("Version", svc.version != null ? svc.version : kleur.gray("-"));
+			print("Full name", svc.fullName);
+			if (versions.length > 1)
+				print("Other versions", kleur.yellow(versions.filter(v => v !== svc.version).map(v => v != null ? v : "<none>").join(", ")));
+			console.log("");
+
+			printSection("Settings:");
+			printValue(maskSecrets(svc.settings));
+
+			printSection("Metadata:");
+			printValue(svc.metadata);
+
+			printSection("Dependencies:");
+			const deps = getServiceDependencies(broker, svc);
+			if (deps == null) {
+				console.log("   ", kleur.gray("<Unknown>"));
+			} else if (deps.length == 0) {
+				console.log("   ", kleur.gray("<None>"));
+			} else {
+				deps.forEach(dep => {
+					const available = broker.registry.hasService(dep);
+					console.log("   ", available ? kleur.green("✔ " + dep) : kleur.red("✖ " + dep + " (not available)"));
+				});
+			}
+			console.log("");
+
+			printSection("Nodes:");
+			const nodesData = [
+				[
+					kleur.bold("Node"),
+					kleur.bold("Service version"),
+					kleur.bold("State"),
+					kleur.bold("Moleculer")
+				]
+			];
+			_.sortBy(services, "nodeID").forEach(item => {
+				const node = broker.registry.nodes.get(item.nodeID);
+				nodesData.push([
+					item.nodeID == broker.nodeID ? `${item.nodeID} ${kleur.gray("(*)")}` : item.nodeID,
+					item.version != null ? (versions.length > 1 ? kleur.yellow(item.version) : item.version) : kleur.gray("-"),
+					item.available ? kleur.bgGreen().white("   OK   ") : kleur.bgRed().white().bold(" FAILED "),
+					node && node.client ? node.client.version : kleur.gray("?")
+				]);
+			});
+			printTable(nodesData, { 2: { alignment: "center" } });
+
+			printSection("Actions:");
+			const actions = _.sortBy(Object.values(svc.actions || {}), "name");
+			if (actions.length == 0) {
+				console.log("   ", kleur.gray("<None>"));
+				console.log("");
+			} else {
+				const actionsData = [
+					[
+						kleur.bold("Action"),
+						kleur.bold("Visibility"),
+						kleur.bold("Cache"),
+						kleur.bold("Params")
+					]
+				];
+				actions.forEach(action => {
+					actionsData.push([
+						action.name,
+						action.visibility || "published",
+						formatCache(action.cache),
+						formatParams(action.params)
+					]);
+				});
+				printTable(actionsData);
+			}
+
+			printSection("Events:");
+			const events = _.sortBy(Object.values(svc.events || {}), "name");
+			if (events.length == 0) {
+				console.log("   ", kleur.gray("<None>"));
+				console.log("");
+			} else {
+				const eventsData = [
+					[
+						kleur.bold("Event"),
+						kleur.bold("Group")
+					]
+				];
+				events.forEach(event => {
+					eventsData.push([
+						event.name,
+						event.group || svc.name
+					]);
+				});
+				printTable(eventsData);
+			}
+
+			done();
+		});
+};
+
+module.exports.maskSecrets = maskSecrets;
@@ -1,9 +1,11 @@
 "use strict";
 
 const kleur 			= require("kleur");
+const path 				= require("path");
 const _ 				= require("lodash");
 const { table, getBorderCharacters } 	= require("table");
-const { match } 		= require("../utils");
+const { match, formatRows, validateFormat, printOutput, OUTPUT_FORMATS } = require("../utils");
+const registryDiff 						= require("../registry-diff");
 
 module.exports = function(vorpal, broker) {
 	// List services
@@ -15,7 +17,24 @@ module.exports = function(vorpal, broker) {
 		.option("-f, --filter <match>", "filter services (e.g.: 'user*')")
 		.option("-i, --skipinternal", "skip internal services")
 		.option("-l, --local", "only local services")
+		.option("--format <format>", "output format (table, json, csv, yaml)", OUTPUT_FORMATS)
+		.option("--out <filename>", "save output to a file")
+		.option("--diff <filename>", "compare the services of a saved service registry (see 'nodes --save') with the live registry")
+		.validate(validateFormat)
 		.action((args, done) => {
+			if (args.options.diff) {
+				let snapshot;
+				try {
+					snapshot = registryDiff.loadSnapshot(args.options.diff, broker);
+				} catch(err) {
+					return done(kleur.red().bold(">> " + err.message));
+				}
+
+				console.log(kleur.yellow().bold(`>> Differences of services between '${path.resolve(args.options.diff)}' and the live registry:`));
+				registryDiff.printServicesDiff(registryDiff.diffClusterServices(snapshot, registryDiff.getRegistrySnapshot(broker)));
+				return done();
+			}
+
 			const services = broker.registry.getServiceList({ onlyLocal: args.options.local, onlyAvailable: !args.options.all, skipInternal: args.options.skipinternal, withActions: true, withEvents: true });
 
 			const data = [
@@ -31,6 +50,7 @@ module.exports = function(vorpal, broker) {
 
 			let list = [];
 			let hLines = [];
+			let rows = [];
 
 			services.forEach(svc => {
 				let item = list.find(o => o.name == svc.name && o.version == svc.version);
@@ -51,13 +71,24 @@ module.exports = function(vorpal, broker) {
 			list.sort((a, b) => a.name.localeCompare(b.name));
 
 			list.forEach(item => {
-				const hasLocal = item.nodes.indexOf(broker.nodeID) !== -1;
+				const hasLocal = item.nodes.some(node => node.nodeID == broker.nodeID);
 				const nodeCount = item.nodes.length;
 				const fullName = item.fullName != null ? item.fullName : ((typeof(item.version) == "number" ? "v" + item.version : item.version) + "." + item.name);
 
 				if (args.options.filter && !match(fullName, args.options.filter))
 					return;
 
+				const row = {
+					name: item.name,
+					version: item.version,
+					available: item.available,
+					actions: item.actionCount,
+					events: item.eventCount,
+					nodes: nodeCount,
+					local: hasLocal
+				};
+				rows.push(row);
+
 				data.push([
 					item.name,
 					item.version != null ? item.version : "-",
@@ -68,6 +99,7 @@ module.exports = function(vorpal, broker) {
 				]);
 
 				if (args.options.details && item.nodes) {
+					row.endpoints = item.nodes;
 					item.nodes.forEach(({ nodeID, available }) => {
 						data.push([
 							"",
@@ -94,7 +126,8 @@ module.exports = function(vorpal, broker) {
 				drawHorizontalLine: (index, count) => index == 0 || index == 1 || index == count || hLines.indexOf(index) !== -1
 			};
 
-			console.log(table(data, tableConf));
+			const format = args.options.format || "table";
+			printOutput(format == "table" ? table(data, tableConf) : formatRows(rows, format), args.options.out);
 			done();
 		});
 };
@@ -0,0 +1,88 @@
+"use strict";
+
+const kleur 							= require("kleur");
+const _ 								= require("lodash");
+const util 								= require("util");
+const { table, getBorderCharacters } 	= require("table");
+const variables 						= require("../variables");
+
+const MAX_VALUE_LENGTH = 80;
+
+function formatValue(value) {
+	const str = value === undefined ? "undefined" : JSON.stringify(value);
+	return str.length > MAX_VALUE_LENGTH ? str.substring(0, MAX_VALUE_LENGTH - 3) + "..." : str;
+}
+
+module.exports = function(vorpal) {
+	// Set a session variable
+	vorpal
+		.removeIfExist("set")
+		.command("set <name> <json...>", "Set a session variable (use it as '{{ name }}' in the params)")
+		.validate(args => {
+			if (!variables.isValidName(String(args.name)))
+				return kleur.red(`Invalid variable name '${args.name}'. It must start with a letter or '_' and contain only letters, digits or '_'.`);
+			return true;
+		})
+		.action((args, done) => {
+			// Vorpal splits the unquoted value into words
+			const words = _.castArray(args.json);
+			const json = words.length == 1 ? words[0] : words.join(" ");
+
+			let value;
+			try {
+				value = variables.parseJSON(json);
+			} catch(err) {
+				if (!(err instanceof SyntaxError))
+					return done(kleur.red().bold(">> " + err.message));
+
+				// Vorpal removes the unquoted double quotes, so `{"id": 5}` can't be parsed
+				if (/^\s*[[{]/.test(json))
+					return done(kleur.red().bold(`>> Can't parse the value as JSON: ${err.message}. Quote it, e.g. set ${args.name} '{"id": 5}'`));
+
+				// Not a JSON, store as string
+				value = variables.interpolate(String(json));
+			}
+
+			variables.setVariable(String(args.name), value);
+			console.log(kleur.yellow().bold(`>> Variable '${args.name}' has been set:`), util.inspect(value, { showHidden: false, depth: 4, colors: true }));
+			done();
+		});
+
+	// List session variables
+	vorpal
+		.removeIfExist("vars")
+		.command("vars [name]", "List session variables")
+		.action((args, done) => {
+			const vars = variables.getVariables();
+
+			if (args.name != null) {
+				const name = String(args.name);
+				if (!variables.hasVariable(name))
+					return done(kleur.red().bold(`>> Variable '${name}' is not defined.`));
+
+				console.log(util.inspect(variables.resolve(name), { showHidden: false, depth: 4, colors: true }));
+				return done();
+			}
+
+			const names = _.sortBy(Object.keys(vars), name => (name == "$last" ? "" : name));
+			if (names.length == 0) {
+				console.log(kleur.yellow().bold(">> No variables. Use the 'set' command or call an action to set '$last'."));
+				return done();
+			}
+
+			const data = [
+				[
+					kleur.bold("Name"),
+					kleur.bold("Value")
+				]
+			].concat(names.map(name => [name, formatValue(vars[name])]));
+
+			const tableConf = {
+				border: _.mapValues(getBorderCharacters("honeywell"), char => kleur.gray(char)),
+				drawHorizontalLine: (index, count) => index == 0 || index == 1 || index == count
+			};
+
+			console.log(table(data, tableConf));
+			done();
+		});
+};
@@ -0,0 +1,284 @@
+"use strict";
+
+const kleur 			= require("kleur");
+const _ 				= require("lodash");
+const util 				= require("util");
+const humanize 			= require("tiny-human-time").short;
+const { match } 		= require("../utils");
+const variables 		= require("../variables");
+const output 			= require("../output");
+
+const DEFAULT_TIMEOUT = 30 * 1000;
+const CHECK_INTERVAL = 500;
+
+const CONDITION_RE = /^(!?)\s*([^\s=!<>]+)\s*(?:(==|!=|>=|<=|>|<)\s*(.+?))?\s*$/;
+
+/**
+ * Split an expression by `&&`. The `&&` in quoted values (e.g. `name == 'a && b'`) is kept.
+ *
+ * @param {String} expr
+ * @returns {Array<String>}
+ */
+function splitConditions(expr) {
+	const parts = [];
+	let current = "";
+	let quote = null;
+
+	for (let i = 0; i < expr.length; i++) {
+		const c = expr[i];
+		if (quote) {
+			if (c == "\\" && quote == "\"" && i + 1 < expr.length) {
+				current += c + expr[++i];
+				continue;
+			}
+			if (c == quote)
+				quote = null;
+		} else if (c == "'" || c == "\"") {
+			quote = c;
+		} else if (c == "&" && expr[i + 1] == "&") {
+			parts.push(current);
+			current = "";
+			i++;
+			continue;
+		}
+		current += c;
+	}
+
+	if (quote)
+		throw new Error(`Unterminated string in --where expression '${expr}'.`);
+
+	parts.push(current);
+	return parts;
+}
+
+/**
+ * Parse a `--where` expression. The conditions can be joined with `&&`.
+ * E.g.: `user.id == 5 && status != 'deleted' && $nodeID == node-1`
+ *
+ * The paths are resolved in the event payload, except `$nodeID`, `$eventName` & `$meta.*`.
+ *
+ * @param {String} expr
+ * @returns {Function} Test function `(payload, ctx) => Boolean`
+ */
+function parseWhere(expr) {
+	const conditions = splitConditions(expr).map(cond => {
+		const m = cond.match(CONDITION_RE);
+		if (!m)
+			throw new Error(`Invalid --where condition '${cond.trim()}'.`);
+
+		const [, negate, path, op, rawValue] = m;
+		let value;
+		if (op) {
+			if (/^'.*'$/.test(rawValue))
+				value = rawValue.slice(1, -1);
+			else {
+				try {
+					value = JSON.parse(rawValue);
+				} catch(err) {
+					value = rawValue;
+				}
+			}
+		}
+
+		return { negate: !!negate, path, op, value };
+	});
+
+	return (payload, ctx) => conditions.every(cond => {
+		const actual = cond.path[0] == "$"
+			? _.get({ $nodeID: ctx.nodeID, $eventName: ctx.eventName, $meta: ctx.meta }, cond.path)
+			: _.get(payload, cond.path);
+
+		let res;
+		switch(cond.op) {
+		case "==": res = actual == cond.value; break;
+		case "!=": res = actual != cond.value; break;
+		case ">": res = actual > cond.value; break;
+		case ">=": res = actual >= cond.value; break;
+		case "<": res = actual < cond.value; break;
+		case "<=": res = actual <= cond.value; break;
+		default: res = !!actual;
+		}
+
+		return cond.negate ? !res : res;
+	});
+}
+
+function getTimeout(args) {
+	return args.options.timeout != null ? Number(args.options.timeout) : DEFAULT_TIMEOUT;
+}
+
+function validateTimeout(args) {
+	if (args.options.timeout != null && !(Number(args.options.timeout) >= 0))
+		return kleur.red("The timeout must be a non-negative number (0 means no timeout).");
+	return true;
+}
+
+module.exports = function(vorpal, broker) {
+	// Cleanup of the running wait. Called when it's finished or cancelled.
+	let stopWaiting;
+	let counter = 0;
+
+	const cancel = () => {
+		if (stopWaiting) {
+			stopWaiting();
+			stopWaiting = null;
+		}
+	};
+
+	/**
+	 * Poll the `check` function until it returns `true` or the timeout is reached.
+	 *
+	 * @param {Function} check
+	 * @param {Number} timeout
+	 * @returns {Promise}
+	 */
+	const poll = (check, timeout) => new Promise((resolve, reject) => {
+		const startTime = Date.now();
+		let timer;
+		stopWaiting = () => clearTimeout(timer);
+
+		const next = () => {
+			if (check())
+				return resolve();
+			if (timeout > 0 && Date.now() - startTime >= timeout)
+				return reject(new Error("timeout"));
+			timer = setTimeout(next, CHECK_INTERVAL);
+		};
+		next();
+	});
+
+	// Wait for an event
+	vorpal
+		.removeIfExist("waitFor event")
+		.command("waitFor event <pattern>", "Wait for an event")
+		.autocomplete({
+			data() {
+				return _.uniq(_.compact(broker.registry.getEventList({}).map(item => item && item.event ? item.event.name: null)));
+			}
+		})
+		.option("--timeout <ms>", `timeout (default: ${DEFAULT_TIMEOUT}, 0 means no timeout)`)
+		.option("--where <expr>", "condition of the event payload (e.g.: 'user.id == 5 && $nodeID == node-1')")
+		.validate(validateTimeout)
+		.cancel(cancel)
+		.action((args, done) => {
+			const pattern = String(args.pattern);
+			const timeout = getTimeout(args);
+
+			let test;
+			if (args.options.where != null) {
+				try {
+					test = parseWhere(String(variables.interpolate(args.options.where)));
+				} catch(err) {
+					return done(kleur.red().bold(">> " + err.message));
+				}
+			}
+
+			const startTime = Date.now();
+			let timer;
+			let service;
+
+			const removeListener = () => {
+				clearTimeout(timer);
+				const svc = service;
+				service = null;
+				return svc ? broker.destroyService(svc).catch(_.noop) : Promise.resolve();
+			};
+			stopWaiting = removeListener;
+
+			const finish = err => {
+				stopWaiting = null;
+				removeListener().then(() => done(err));
+			};
+
+			service = broker.createService({
+				name: `$repl-waitfor-${++counter}`,
+				events: {
+					[pattern]: {
+						context: true,
+						handler: output.bind(ctx => {
+							if (!service || !match(ctx.eventName, pattern))
+								return;
+							if (test && !test(ctx.params, ctx))
+								return;
+
+							console.log(kleur.yellow().bold(`>> Event '${ctx.eventName}' received from '${ctx.nodeID}'`) + kleur.gray(` after ${humanize(Date.now() - startTime)}`));
+							console.log(util.inspect(ctx.params, { showHidden: false, depth: 4, colors: true }));
+							finish();
+						})
+					}
+				}
+			});
+
+			if (timeout > 0) {
+				timer = setTimeout(() => {
+					finish(kleur.red().bold(`>> Timed out after ${humanize(timeout)} waiting for '${pattern}' event` + (args.options.where != null ? ` where '${args.options.where}'.` : ".")));
+				}, timeout);
+			}
+
+			console.log(kleur.gray(`>> Waiting for '${pattern}' event...`));
+		});
+
+	// Wait for a service
+	vorpal
+		.removeIfExist("waitFor service")
+		.command("waitFor service <name> [version]", "Wait for a service")
+		.autocomplete({
+			data() {
+				return _.uniq(broker.registry.getServiceList({}).map(svc => svc.name));
+			}
+		})
+		.option("--timeout <ms>", `timeout (default: ${DEFAULT_TIMEOUT}, 0 means no timeout)`)
+		.validate(validateTimeout)
+		.cancel(cancel)
+		.action((args, done) => {
+			const timeout = getTimeout(args);
+			const fullName = broker.ServiceFactory.getVersionedFullName(String(args.name), args.version);
+			const startTime = Date.now();
+
+			console.log(kleur.gray(`>> Waiting for '${fullName}' service...`));
+			poll(() => broker.registry.hasService(fullName), timeout)
+				.then(() => {
+					stopWaiting = null;
+					console.log(kleur.green().bold(`>> Service '${fullName}' is available.`) + kleur.gray(` (${humanize(Date.now() - startTime)})`));
+					done();
+				})
+				.catch(() => {
+					stopWaiting = null;
+					done(kleur.red().bold(`>> Timed out after ${humanize(timeout)} waiting for '${fullName}' service.`));
+				});
+		});
+
+	// Wait for a node
+	vorpal
+		.removeIfExist("waitFor node")
+		.command("waitFor node <nodeID>", "Wait for a node")
+		.autocomplete({
+			data() {
+				return broker.registry.getNodeList({ onlyAvailable: false, withServices: false }).map(node => node.id);
+			}
+		})
+		.option("--timeout <ms>", `timeout (default: ${DEFAULT_TIMEOUT}, 0 means no timeout)`)
+		.validate(validateTimeout)
+		.cancel(cancel)
+		.action((args, done) => {
+			const nodeID = String(args.nodeID);
+			const timeout = getTimeout(args);
+			const startTime = Date.now();
+
+			console.log(kleur.gray(`>> Waiting for '${nodeID}' node...`));
+			poll(() => {
+				const node = broker.registry.nodes.get(nodeID);
+				return node != null && node.available;
+			}, timeout)
+				.then(() => {
+					stopWaiting = null;
+					console.log(kleur.green().bold(`>> Node '${nodeID}' is available.`) + kleur.gray(` (${humanize(Date.now() - startTime)})`));
+					done();
+				})
+				.catch(() => {
+					stopWaiting = null;
+					done(kleur.red().bold(`>> Timed out after ${humanize(timeout)} waiting for '${nodeID}' node.`));
+				});
+		});
+};
+module.exports.parseWhere = parseWhere;
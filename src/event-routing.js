@@ -0,0 +1,146 @@
+/*
+ * moleculer-repl
+ * Copyright (c) 2018 MoleculerJS (https://github.com/moleculerjs/moleculer-repl)
+ * MIT Licensed
+ */
+
+"use strict";
+
+const kleur 			= require("kleur");
+const fs 				= require("fs");
+const path				= require("path");
+const _ 				= require("lodash");
+const { convertArgs, match } = require("./utils");
+const variables 		= require("./variables");
+
+// Command options which are not part of the payload
+const COMMAND_OPTIONS = ["load", "group", "nodeID"];
+
+/**
+ * Create the payload & the emitting options from the command arguments.
+ *
+ * @param {Object} args
+ * @returns {Object} `{ payload, opts }`
+ */
+function getEventPayload(args) {
+	const options = variables.interpolate(args.options);
+	let payload;
+
+	if (options.load) {
+		const fName = path.resolve(_.isString(options.load) ? options.load : `${args.eventName}.params.json`);
+		if (!fs.existsSync(fName))
+			throw new Error("File not found: " + fName);
+
+		console.log(kleur.magenta(`>> Load payload from '${fName}' file.`));
+		payload = variables.parseJSON(fs.readFileSync(fName, "utf8"));
+	} else if (args.jsonParams != null) {
+		payload = variables.parseJSON(args.jsonParams);
+	} else {
+		payload = _.omit(convertArgs(options), COMMAND_OPTIONS);
+	}
+
+	const opts = {
+		meta: args.meta != null ? variables.parseJSON(args.meta) : {}
+	};
+
+	// `--group a --group b` or `--group a,b`
+	if (options.group != null) {
+		opts.groups = _.uniq(_.flatMap(_.castArray(options.group), group => String(group).split(",")).map(group => group.trim()).filter(Boolean));
+	}
+
+	if (options.nodeID != null)
+		opts.nodeID = String(options.nodeID);
+
+	return { payload, opts };
+}
+
+/**
+ * Get the available event listeners.
+ *
+ * @param {ServiceBroker} broker
+ * @param {String} eventName
+ * @param {Array<String>?} groups
+ * @returns {Array<Object>} List of `{ name, group, nodeIDs }`
+ */
+function getListeners(broker, eventName, groups) {
+	return broker.registry.getEventList({ onlyAvailable: true, withEndpoints: true })
+		.filter(item => match(eventName, item.name))
+		.filter(item => !groups || groups.length == 0 || groups.indexOf(item.group) !== -1)
+		.map(item => ({
+			name: item.name,
+			group: item.group,
+			nodeIDs: item.endpoints.filter(ep => ep.state && ep.available).map(ep => ep.nodeID)
+		}))
+		.filter(item => item.nodeIDs.length > 0);
+}
+
+/**
+ * Emit the event with the broker and collect the endpoints which it can be routed to.
+ * The broker can't target a node, so only the local node can be targeted by the `nodeID`.
+ *
+ * @param {ServiceBroker} broker
+ * @param {String} type `emit`, `broadcast` or `broadcastLocal`
+ * @param {String} eventName
+ * @param {any} payload
+ * @param {Object} opts
+ * @returns {Array<Object>} Routes. `null` if they can't be determined.
+ */
+function sendEvent(broker, type, eventName, payload, opts) {
+	if (opts.nodeID && opts.nodeID != broker.nodeID)
+		throw new Error(`Only the local '${broker.nodeID}' node can be targeted.`);
+
+	const emitOpts = _.omit(opts, ["nodeID"]);
+
+	// Every group of the local listeners gets the event once
+	if (type == "broadcastLocal" || opts.nodeID) {
+		broker.broadcastLocal(eventName, payload, emitOpts);
+		return getListeners(broker, eventName, opts.groups)
+			.filter(item => item.nodeIDs.indexOf(broker.nodeID) !== -1)
+			.map(item => Object.assign(item, { nodeIDs: [broker.nodeID] }));
+	}
+
+	if (type == "broadcast") {
+		broker.broadcast(eventName, payload, emitOpts);
+		return broker.transit && broker.options.disableBalancer
+			? null
+			: getListeners(broker, eventName, opts.groups);
+	}
+
+	broker.emit(eventName, payload, emitOpts);
+	if (broker.options.disableBalancer && broker.transit)
+		return null;
+
+	// The balancer selects one node of every group
+	return getListeners(broker, eventName, opts.groups).map(item => Object.assign(item, { balanced: true }));
+}
+
+/**
+ * Print the routes of the event.
+ *
+ * @param {String} eventName
+ * @param {Array<Object>?} routes
+ */
+function printRoutes(eventName, routes) {
+	if (routes == null) {
+		console.log(kleur.gray(">> The event has been routed by the transporter (balancer is disabled)."));
+		return;
+	}
+
+	if (routes.length == 0) {
+		console.log(kleur.yellow().bold(">> No listeners."));
+		return;
+	}
+
+	console.log(kleur.cyan().bold(">> Routed to:"));
+	routes.forEach(route => {
+		const name = route.name != eventName ? kleur.gray(` (${route.name})`) : "";
+		const nodes = route.balanced && route.nodeIDs.length > 1 ? "one of " + route.nodeIDs.join(", ") : route.nodeIDs.join(", ");
+		console.log(`   ${kleur.bold(route.group)}${name} → ${nodes}`);
+	});
+}
+
+module.exports = {
+	getEventPayload,
+	sendEvent,
+	printRoutes
+};
@@ -0,0 +1,291 @@
+/*
+ * moleculer-repl
+ * Copyright (c) 2018 MoleculerJS (https://github.com/moleculerjs/moleculer-repl)
+ * MIT Licensed
+ */
+
+"use strict";
+
+const _ 				= require("lodash");
+
+/**
+ * Get the declared dependencies of a service. The result is `null` if the
+ * service is not found in the INFO of its node.
+ *
+ * @param {ServiceBroker} broker
+ * @param {Object} svc Service item of the registry
+ * @returns {Array<String>?} Full names of dependent services
+ */
+function getServiceDependencies(broker, svc) {
+	let deps;
+	if (svc.nodeID == broker.nodeID) {
+		const service = broker.services.find(s => s.fullName == svc.fullName);
+		if (!service)
+			return null;
+		deps = service.schema.dependencies;
+	} else {
+		const info = broker.registry.getNodeInfo(svc.nodeID);
+		const remote = info && Array.isArray(info.services) ? info.services.find(s => s.fullName == svc.fullName) : null;
+		if (!remote)
+			return null;
+		deps = remote.dependencies;
+	}
+
+	// The field is omitted if the service has no dependencies
+	if (deps == null)
+		return [];
+
+	return _.castArray(deps).map(dep => {
+		if (_.isPlainObject(dep))
+			return broker.ServiceFactory.getVersionedFullName(dep.name, dep.version);
+		return dep;
+	});
+}
+
+/**
+ * Find the cycles in the dependencies of services.
+ *
+ * @param {Object} services Services by full name
+ * @returns {Array<Array<String>>} Cycles, e.g. `[["a", "b", "a"]]`
+ */
+function findCycles(services) {
+	const cycles = new Map();
+	const visited = new Set();
+
+	const visit = (name, stack) => {
+		const idx = stack.indexOf(name);
+		if (idx !== -1) {
+			const cycle = stack.slice(idx);
+			// The same cycle can be found from any of its members
+			const start = cycle.indexOf(_.min(cycle));
+			const normalized = cycle.slice(start).concat(cycle.slice(0, start));
+			cycles.set(normalized.join(" → "), normalized.concat(normalized[0]));
+			return;
+		}
+
+		const svc = services[name];
+		if (!svc || visited.has(name))
+			return;
+
+		stack.push(name);
+		(svc.dependencies || []).forEach(dep => visit(dep, stack));
+		stack.pop();
+		visited.add(name);
+	};
+
+	Object.keys(services).sort().forEach(name => visit(name, []));
+
+	return Array.from(cycles.values());
+}
+
+/**
+ * Build the topology graph from the registry. The actions, events & dependencies are
+ * collected per node, because the nodes can run different variants of a service.
+ * The services are merged by full name only to resolve the dependencies between nodes.
+ *
+ * @param {ServiceBroker} broker
+ * @param {Object} opts
+ * @param {Boolean} opts.internal Include the internal (`$node`) services
+ * @returns {Object} `{ nodes, services, missing, cycles }`
+ */
+function buildGraph(broker, opts = {}) {
+	const list = broker.registry.getServiceList({ onlyAvailable: true, skipInternal: !opts.internal, withActions: true, withEvents: true });
+
+	const nodes = {};
+	const services = {};
+
+	list.forEach(item => {
+		if (!nodes[item.nodeID])
+			nodes[item.nodeID] = { id: item.nodeID, local: item.nodeID == broker.nodeID, services: [] };
+
+		const deps = getServiceDependencies(broker, item);
+		nodes[item.nodeID].services.push({
+			name: item.name,
+			version: item.version,
+			fullName: item.fullName,
+			nodeID: item.nodeID,
+			actions: Object.keys(item.actions || {}).sort(),
+			events: _.map(item.events, event => ({ name: event.name, group: event.group || item.name })),
+			dependencies: deps
+		});
+
+		let svc = services[item.fullName];
+		if (!svc) {
+			svc = services[item.fullName] = {
+				name: item.name,
+				version: item.version,
+				fullName: item.fullName,
+				nodes: [],
+				dependencies: null
+			};
+		}
+
+		svc.nodes.push(item.nodeID);
+		if (deps)
+			svc.dependencies = _.union(svc.dependencies || [], deps);
+	});
+
+	const missing = [];
+	_.forIn(services, svc => {
+		(svc.dependencies || []).forEach(dep => {
+			if (!services[dep] && !broker.registry.hasService(dep))
+				missing.push({ service: svc.fullName, dependency: dep });
+		});
+	});
+
+	return {
+		nodes: _.sortBy(Object.values(nodes), "id").map(node => Object.assign(node, { services: _.sortBy(node.services, "fullName") })),
+		services,
+		missing,
+		cycles: findCycles(services)
+	};
+}
+
+/**
+ * Collect the dependency edges which are part of a cycle.
+ *
+ * @param {Array<Array<String>>} cycles
+ * @returns {Set<String>} Edges as `from → to`
+ */
+function getCycleEdges(cycles) {
+	const edges = new Set();
+	cycles.forEach(cycle => {
+		for (let i = 0; i < cycle.length - 1; i++)
+			edges.add(`${cycle[i]} → ${cycle[i + 1]}`);
+	});
+	return edges;
+}
+
+function quote(str) {
+	return "\"" + String(str).replace(/"/g, "\\\"") + "\"";
+}
+
+/**
+ * Export the graph to Graphviz DOT format.
+ *
+ * @param {Object} graph
+ * @returns {String}
+ */
+function toDot(graph) {
+	const cycleEdges = getCycleEdges(graph.cycles);
+	const serviceID = svc => `service:${svc.nodeID}:${svc.fullName}`;
+	const lines = [
+		"digraph moleculer {",
+		"\trankdir=LR;",
+		"\tnode [fontname=\"Helvetica\"];",
+		""
+	];
+
+	graph.nodes.forEach(node => {
+		lines.push(`\t${quote("node:" + node.id)} [label=${quote(node.id + (node.local ? " (local)" : ""))}, shape=box3d];`);
+		node.services.forEach(svc => {
+			const sid = serviceID(svc);
+			lines.push(`\t${quote(sid)} [label=${quote(svc.fullName)}, shape=box, style=rounded];`);
+			lines.push(`\t${quote("node:" + node.id)} -> ${quote(sid)};`);
+			svc.actions.forEach(action => {
+				const id = `action:${svc.nodeID}:${action}`;
+				lines.push(`\t${quote(id)} [label=${quote(action)}, shape=ellipse];`);
+				lines.push(`\t${quote(sid)} -> ${quote(id)};`);
+			});
+			svc.events.forEach(event => {
+				const id = `event:${svc.nodeID}:${svc.fullName}:${event.name}`;
+				lines.push(`\t${quote(id)} [label=${quote(`${event.name}\\n(group: ${event.group})`)}, shape=cds];`);
+				lines.push(`\t${quote(sid)} -> ${quote(id)};`);
+			});
+		});
+		lines.push("");
+	});
+
+	graph.missing.forEach(item => {
+		lines.push(`\t${quote("missing:" + item.dependency)} [label=${quote(item.dependency + "\\n(missing)")}, shape=box, style="rounded,dashed", color=red, fontcolor=red];`);
+	});
+
+	// The dependencies point to every instance of the dependent service
+	graph.nodes.forEach(node => node.services.forEach(svc => {
+		(svc.dependencies || []).forEach(dep => {
+			const attrs = ["style=dashed", "label=\"depends\""];
+			if (graph.missing.find(item => item.service == svc.fullName && item.dependency == dep)) {
+				attrs.push("color=red");
+				lines.push(`\t${quote(serviceID(svc))} -> ${quote("missing:" + dep)} [${attrs.join(", ")}];`);
+				return;
+			}
+
+			if (cycleEdges.has(`${svc.fullName} → ${dep}`))
+				attrs.push("color=orange", "penwidth=2");
+			// Available but not in the graph (e.g. internal service)
+			const targets = graph.services[dep] ? graph.services[dep].nodes.map(nodeID => serviceID({ nodeID, fullName: dep })) : [dep];
+			targets.forEach(target => lines.push(`\t${quote(serviceID(svc))} -> ${quote(target)} [${attrs.join(", ")}];`));
+		});
+	}));
+
+	lines.push("}");
+	return lines.join("\n") + "\n";
+}
+
+/**
+ * Export the graph to Mermaid flowchart format.
+ *
+ * @param {Object} graph
+ * @returns {String}
+ */
+function toMermaid(graph) {
+	const cycleEdges = getCycleEdges(graph.cycles);
+	const ids = new Map();
+	const getID = (prefix, key) => {
+		if (!ids.has(prefix + key))
+			ids.set(prefix + key, prefix + ids.size);
+		return ids.get(prefix + key);
+	};
+	const label = str => "\"" + String(str).replace(/"/g, "#quot;") + "\"";
+
+	const lines = ["graph LR"];
+	const linkStyles = [];
+	let linkCount = 0;
+	const link = (line, style) => {
+		lines.push(line);
+		if (style)
+			linkStyles.push(`\tlinkStyle ${linkCount} ${style}`);
+		linkCount++;
+	};
+
+	graph.nodes.forEach(node => {
+		const nid = getID("n", node.id);
+		lines.push(`\t${nid}[[${label(node.id + (node.local ? " (local)" : ""))}]]`);
+		node.services.forEach(svc => {
+			const sid = getID("s", svc.nodeID + ":" + svc.fullName);
+			lines.push(`\t${sid}(${label(svc.fullName)})`);
+			link(`\t${nid} --> ${sid}`);
+			svc.actions.forEach(action => link(`\t${sid} --> ${getID("a", svc.nodeID + ":" + action)}([${label(action)}])`));
+			svc.events.forEach(event => link(`\t${sid} --> ${getID("e", svc.nodeID + ":" + svc.fullName + ":" + event.name)}>${label(`${event.name} (group: ${event.group})`)}]`));
+		});
+	});
+
+	graph.missing.forEach(item => {
+		lines.push(`\t${getID("m", item.dependency)}(${label(item.dependency + " (missing)")}):::missing`);
+	});
+
+	// The dependencies point to every instance of the dependent service
+	graph.nodes.forEach(node => node.services.forEach(svc => {
+		const sid = getID("s", svc.nodeID + ":" + svc.fullName);
+		(svc.dependencies || []).forEach(dep => {
+			if (graph.missing.find(item => item.service == svc.fullName && item.dependency == dep))
+				return link(`\t${sid} -. depends .-> ${getID("m", dep)}`, "stroke:red");
+
+			const style = cycleEdges.has(`${svc.fullName} → ${dep}`) ? "stroke:orange,stroke-width:2px" : null;
+			// Available but not in the graph (e.g. internal service)
+			const targets = graph.services[dep] ? graph.services[dep].nodes.map(nodeID => getID("s", nodeID + ":" + dep)) : [`${getID("x", dep)}(${label(dep)})`];
+			targets.forEach(target => link(`\t${sid} -. depends .-> ${target}`, style));
+		});
+	}));
+
+	lines.push("\tclassDef missing stroke:red,stroke-dasharray:5,color:red");
+	return lines.concat(linkStyles).join("\n") + "\n";
+}
+
+module.exports = {
+	getServiceDependencies,
+	buildGraph,
+	findCycles,
+	toDot,
+	toMermaid
+};
@@ -10,6 +10,8 @@
 require("v8"); // Load first. It won't work in `info.js`
 
 const _ 				= require("lodash");
+const os 				= require("os");
+const path 				= require("path");
 const vorpal 			= require("@moleculer/vorpal")();
 const { table, getBorderCharacters } 	= require("table");
 const kleur 			= require("kleur");
@@ -17,12 +19,22 @@ const ora 				= require("ora");
 const clui 				= require("clui");
 
 const registerCommands 	= require("./commands");
+const { runScript } 	= require("./script");
+const remote 			= require("./remote");
 
 /**
  * Start REPL mode
  *
+ * If the `script` option is set, it executes the commands of the script file
+ * instead of the interactive console and exits the process when finished.
+ *
+ * If the `server` option is set, the REPL is exposed on a TCP port or Unix socket
+ * instead of the interactive console. Use `REPL.connect` or the `moleculer-repl-client`
+ * command to connect to it.
+ *
  * @param {ServiceBroker} broker
  * @param {Object|Array} opts
+ * @returns {Promise?} In script mode, it returns a Promise. In server mode, it returns a Promise with the server.
  */
 /* istanbul ignore next */
 function REPL(broker, opts) {
@@ -31,7 +43,11 @@ function REPL(broker, opts) {
 
 	opts = _.defaultsDeep(opts || {}, {
 		customCommands: null,
-		delimiter: "mol $"
+		delimiter: "mol $",
+		script: null,
+		server: null,
+		history: true,
+		historyPath: path.join(os.homedir(), ".moleculer-repl")
 	});
 
 	vorpal.removeIfExist = function(command) {
@@ -106,6 +122,24 @@ function REPL(broker, opts) {
 		});
 	}
 
+	// Run script in non-interactive mode
+	if (opts.script) {
+		return runScript(vorpal, opts.script, opts)
+			.then(success => broker.stop().then(() => process.exit(success ? 0 : 1)));
+	}
+
+	// Expose the REPL for remote clients
+	if (opts.server) {
+		return remote.createServer(vorpal, broker, Object.assign({ delimiter: opts.delimiter }, opts.server));
+	}
+
+	// Persist command history per project & namespace
+	if (opts.history) {
+		vorpal
+			.historyStoragePath(opts.historyPath)
+			.history(`${path.basename(process.cwd())}-${broker.namespace || "default"}`);
+	}
+
 	// Start REPL
 	vorpal
 		.delimiter(opts.delimiter)
@@ -113,4 +147,6 @@ function REPL(broker, opts) {
 
 }
 
+REPL.connect = remote.connect;
+
 module.exports = REPL;
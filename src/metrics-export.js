@@ -0,0 +1,162 @@
+/*
+ * moleculer-repl
+ * Copyright (c) 2018 MoleculerJS (https://github.com/moleculerjs/moleculer-repl)
+ * MIT Licensed
+ */
+
+"use strict";
+
+const _ 				= require("lodash");
+
+const EXPORT_FORMATS = ["prometheus", "json"];
+
+/**
+ * Convert a name to a valid Prometheus metric or label name.
+ *
+ * @param {String} name
+ * @returns {String}
+ */
+function formatName(name) {
+	return name.replace(/[^a-zA-Z0-9_:]/g, "_").replace(/^([0-9])/, "_$1");
+}
+
+/**
+ * Escape a label value for Prometheus text format.
+ *
+ * @param {any} value
+ * @returns {String}
+ */
+function escapeLabelValue(value) {
+	return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+/**
+ * Format the labels of a sample. E.g.: `{action="posts.find",quantile="0.5"}`
+ *
+ * @param {Object} labels
+ * @param {Object?} extra
+ * @returns {String}
+ */
+function formatLabels(labels, extra) {
+	const all = Object.assign({}, labels, extra);
+	const keys = Object.keys(all).filter(key => all[key] != null);
+	if (keys.length == 0)
+		return "";
+
+	return "{" + keys.map(key => `${formatName(key)}="${escapeLabelValue(all[key])}"`).join(",") + "}";
+}
+
+/**
+ * Format a sample value.
+ *
+ * @param {Number} value
+ * @returns {String}
+ */
+function formatValue(value) {
+	if (value == null || isNaN(value))
+		return "NaN";
+	if (value === Infinity)
+		return "+Inf";
+	if (value === -Infinity)
+		return "-Inf";
+	return String(value);
+}
+
+/**
+ * Serialize a metrics list (the result of `broker.metrics.list()`)
+ * to Prometheus text exposition format.
+ *
+ * Histograms with buckets are exported as `histogram`, histograms with
+ * quantiles as `summary`. If a histogram has both, the summary gets a `_summary` suffix.
+ *
+ * @param {Array<Object>} list
+ * @returns {String}
+ */
+function toPrometheus(list) {
+	const lines = [];
+
+	const addFamily = (name, type, help, samples) => {
+		if (samples.length == 0)
+			return;
+
+		lines.push(`# HELP ${name} ${help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`);
+		lines.push(`# TYPE ${name} ${type}`);
+		lines.push(...samples, "");
+	};
+
+	_.sortBy(list, "name").forEach(metric => {
+		const name = formatName(metric.name);
+		const help = metric.description || (metric.name + (metric.unit ? ` (${metric.unit})` : ""));
+		const values = metric.values || [];
+
+		switch(metric.type) {
+		case "counter":
+		case "gauge": {
+			addFamily(name, metric.type, help, values.map(item => `${name}${formatLabels(item.labels)} ${formatValue(item.value)}`));
+			break;
+		}
+		case "info": {
+			addFamily(name, "gauge", help, values.map(item => `${name}${formatLabels(item.labels, { value: item.value })} 1`));
+			break;
+		}
+		case "histogram": {
+			const hasBuckets = values.some(item => item.buckets);
+			const hasQuantiles = values.some(item => item.quantiles);
+
+			if (hasBuckets) {
+				addFamily(name, "histogram", help, _.flatMap(values, item => [].concat(
+					_.sortBy(Object.keys(item.buckets || {}), Number).map(le => `${name}_bucket${formatLabels(item.labels, { le })} ${formatValue(item.buckets[le])}`),
+					`${name}_bucket${formatLabels(item.labels, { le: "+Inf" })} ${formatValue(item.count)}`,
+					`${name}_sum${formatLabels(item.labels)} ${formatValue(item.sum)}`,
+					`${name}_count${formatLabels(item.labels)} ${formatValue(item.count)}`
+				)));
+			}
+
+			if (hasQuantiles || !hasBuckets) {
+				const summaryName = hasBuckets ? name + "_summary" : name;
+				addFamily(summaryName, "summary", help, _.flatMap(values, item => [].concat(
+					Object.keys(item.quantiles || {}).map(quantile => `${summaryName}${formatLabels(item.labels, { quantile })} ${formatValue(item.quantiles[quantile])}`),
+					`${summaryName}_sum${formatLabels(item.labels)} ${formatValue(item.sum)}`,
+					`${summaryName}_count${formatLabels(item.labels)} ${formatValue(item.count)}`
+				)));
+			}
+			break;
+		}
+		}
+	});
+
+	return lines.join("\n");
+}
+
+/**
+ * Serialize a metrics list (the result of `broker.metrics.list()`) to JSON.
+ *
+ * @param {Array<Object>} list
+ * @param {ServiceBroker} broker
+ * @returns {String}
+ */
+function toJSON(list, broker) {
+	return JSON.stringify({
+		nodeID: broker.nodeID,
+		namespace: broker.namespace,
+		timestamp: new Date().toISOString(),
+		metrics: _.sortBy(list, "name")
+	}, null, 4);
+}
+
+/**
+ * Serialize a metrics list to the given format.
+ *
+ * @param {Array<Object>} list
+ * @param {String} format `prometheus` or `json`
+ * @param {ServiceBroker} broker
+ * @returns {String}
+ */
+function exportMetrics(list, format, broker) {
+	return format == "prometheus" ? toPrometheus(list) : toJSON(list, broker);
+}
+
+module.exports = {
+	exportMetrics,
+	EXPORT_FORMATS
+};
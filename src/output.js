@@ -0,0 +1,136 @@
+/*
+ * moleculer-repl
+ * Copyright (c) 2018 MoleculerJS (https://github.com/moleculerjs/moleculer-repl)
+ * MIT Licensed
+ */
+
+"use strict";
+
+const { Writable } 		= require("stream");
+const { Console } 		= require("console");
+const EventEmitter 		= require("events");
+const asyncHooks 		= require("async_hooks");
+
+const CONSOLE_METHODS = ["log", "info", "warn", "error", "dir"];
+
+// Output of the remote session which the running code belongs to (see `remote.js`)
+const storage = asyncHooks.AsyncLocalStorage ? new asyncHooks.AsyncLocalStorage() : null;
+
+let installed = false;
+
+/**
+ * Route the `console` calls to the output of the current session.
+ * Outside of the sessions the original methods are called.
+ * It's called only when the REPL server is started, the local console doesn't need it.
+ */
+function install() {
+	if (installed)
+		return;
+
+	if (!storage)
+		throw new Error("The remote sessions require Node.js >= 12.17.");
+
+	CONSOLE_METHODS.forEach(method => {
+		const original = console[method];
+		console[method] = function(...args) {
+			const output = storage.getStore();
+			if (output && !output.closed)
+				return output.console[method](...args);
+			return original.apply(console, args);
+		};
+	});
+	installed = true;
+}
+
+/**
+ * Create the output of a session.
+ *
+ * @param {Function} write Called with the printed text
+ * @param {Number} columns Width of the terminal
+ * @returns {Object} `{ stream, console, keys, close }`
+ */
+function createOutput(write, columns) {
+	const stream = new Writable({
+		decodeStrings: false,
+		write(chunk, encoding, cb) {
+			if (!output.closed)
+				write(String(chunk));
+			cb();
+		}
+	});
+	stream.columns = columns;
+
+	const output = {
+		stream,
+		console: new Console({ stdout: stream, stderr: stream, colorMode: true }),
+		// Keypresses of the session
+		keys: new EventEmitter(),
+		closed: false,
+
+		close() {
+			output.closed = true;
+			output.keys.removeAllListeners();
+		}
+	};
+
+	return output;
+}
+
+/**
+ * Run a function with the output of a session. The asynchronous
+ * continuations (timers, promises...) inherit the output.
+ *
+ * @param {Object} output
+ * @param {Function} fn
+ * @returns {any}
+ */
+function run(output, fn) {
+	return storage ? storage.run(output, fn) : fn();
+}
+
+/**
+ * Get the output of the current session.
+ *
+ * @returns {Object?}
+ */
+function current() {
+	return storage ? storage.getStore() || null : null;
+}
+
+/**
+ * Get the stream of the current session or the fallback stream.
+ *
+ * @param {Stream?} fallback
+ * @returns {Stream}
+ */
+function getStream(fallback = process.stdout) {
+	const output = current();
+	return output ? output.stream : fallback;
+}
+
+/**
+ * Bind a callback to the output of the current session. Use it for the callbacks
+ * which are called by the broker (e.g. event handlers), so they print to the session
+ * which has registered them.
+ *
+ * @param {Function} fn
+ * @returns {Function}
+ */
+function bind(fn) {
+	const output = current();
+	if (!output)
+		return fn;
+
+	return function(...args) {
+		return storage.run(output, () => fn.apply(this, args));
+	};
+}
+
+module.exports = {
+	install,
+	createOutput,
+	run,
+	current,
+	getStream,
+	bind
+};
@@ -0,0 +1,167 @@
+/*
+ * moleculer-repl
+ * Copyright (c) 2018 MoleculerJS (https://github.com/moleculerjs/moleculer-repl)
+ * MIT Licensed
+ */
+
+"use strict";
+
+const _ 				= require("lodash");
+const kleur 			= require("kleur");
+
+const SKIP = "<skip>";
+
+/**
+ * Convert a fastest-validator rule to object form.
+ * E.g.: `"string|optional|min:3"` => `{ type: "string", optional: true, min: "3" }`
+ *
+ * @param {String|Object|Array} rule
+ * @returns {Object}
+ */
+function normalizeRule(rule) {
+	if (Array.isArray(rule))
+		rule = rule[0];
+
+	if (_.isString(rule)) {
+		const parts = rule.split("|").map(s => s.trim());
+		const res = { type: parts[0] };
+		parts.slice(1).forEach(part => {
+			const [key, value] = part.split(":");
+			res[key] = value != null ? (value == "true" ? true : value == "false" ? false : value) : true;
+		});
+		return res;
+	}
+
+	if (_.isPlainObject(rule))
+		return Object.assign({ type: "any" }, rule);
+
+	return { type: "any" };
+}
+
+/**
+ * Create the prompt message with the rule details.
+ *
+ * @param {String} name
+ * @param {Object} rule
+ * @returns {String}
+ */
+function getMessage(name, rule) {
+	const details = [rule.type];
+	if (rule.optional)
+		details.push("optional");
+	if (rule.default != null)
+		details.push("default: " + JSON.stringify(rule.default));
+	if (Array.isArray(rule.values))
+		details.push("values: " + rule.values.join(", "));
+
+	return `${name} ${kleur.gray("(" + details.join(", ") + ")")}:`;
+}
+
+/**
+ * Create an inquirer question for a rule.
+ *
+ * @param {String} name
+ * @param {Object} rule
+ * @returns {Object}
+ */
+function getQuestion(name, rule) {
+	const skippable = rule.optional || rule.default != null;
+	const message = getMessage(name, rule);
+
+	if (Array.isArray(rule.values) || rule.type == "boolean") {
+		const values = Array.isArray(rule.values) ? rule.values : [true, false];
+		const choices = values.map(value => ({ name: String(value), value }));
+		if (skippable)
+			choices.unshift({ name: kleur.gray(SKIP), value: SKIP });
+
+		return { type: "list", name: "value", message, choices };
+	}
+
+	return {
+		type: "input",
+		name: "value",
+		message,
+		validate(input) {
+			if (input === "")
+				return skippable ? true : "This field is required.";
+			if (rule.type == "number" && isNaN(Number(input)))
+				return "It must be a number.";
+			return true;
+		}
+	};
+}
+
+/**
+ * Convert the answer to the type of the rule.
+ * It returns `undefined` if the field is skipped.
+ *
+ * @param {any} value
+ * @param {Object} rule
+ * @returns {any}
+ */
+function convertAnswer(value, rule) {
+	if (value === SKIP || value === "")
+		return undefined;
+
+	switch(rule.type) {
+	case "number": return Number(value);
+	case "boolean":
+	case "enum":
+	case "string":
+	case "email":
+	case "url":
+	case "uuid":
+	case "mac":
+	case "luhn":
+		return value;
+	}
+
+	if (!_.isString(value))
+		return value;
+
+	// Complex types (array, object, any...) are given as JSON
+	try {
+		return JSON.parse(value);
+	} catch(err) {
+		return value;
+	}
+}
+
+/**
+ * Prompt the fields of a params schema one after the other.
+ * Nested `object` rules with `props` are prompted recursively.
+ *
+ * @param {CommandInstance} cmd
+ * @param {Object} schema
+ * @param {String?} prefix
+ * @returns {Promise<Object>}
+ */
+function promptParams(cmd, schema, prefix) {
+	const res = {};
+
+	return Object.keys(schema)
+		.filter(key => !key.startsWith("$$"))
+		.reduce((p, key) => p.then(() => {
+			const rule = normalizeRule(schema[key]);
+			const name = prefix ? prefix + "." + key : key;
+
+			if (rule.type == "object" && _.isPlainObject(rule.props || rule.properties)) {
+				return promptParams(cmd, rule.props || rule.properties, name).then(value => {
+					if (!rule.optional || !_.isEmpty(value))
+						res[key] = value;
+				});
+			}
+
+			return cmd.prompt(getQuestion(name, rule)).then(answer => {
+				const value = convertAnswer(answer.value, rule);
+				if (value !== undefined)
+					res[key] = value;
+			});
+		}), Promise.resolve())
+		.then(() => res);
+}
+
+module.exports = {
+	normalizeRule,
+	promptParams
+};
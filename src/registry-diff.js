@@ -0,0 +1,296 @@
+/*
+ * moleculer-repl
+ * Copyright (c) 2018 MoleculerJS (https://github.com/moleculerjs/moleculer-repl)
+ * MIT Licensed
+ */
+
+"use strict";
+
+const fs 				= require("fs");
+const path 				= require("path");
+const _ 				= require("lodash");
+const kleur 			= require("kleur");
+
+/**
+ * Get the raw registry info of nodes (like `getNodeRawList`) extended with node IDs & availability.
+ *
+ * @param {ServiceBroker} broker
+ * @returns {Array<Object>}
+ */
+function getRegistrySnapshot(broker) {
+	return broker.registry.nodes.toArray().map(node => Object.assign({ id: node.id, available: node.available }, node.rawInfo));
+}
+
+/**
+ * Set the node IDs of a raw node list (created by `nodes --save` or `getNodeRawList`).
+ * The raw info of remote nodes contains the `sender`, but the local node has only
+ * an `instanceID`. It is resolved via the live registry. If the instance is not known
+ * (e.g. the snapshot has been saved by a previous run), it's the local node of the broker.
+ *
+ * @param {Array<Object>} list
+ * @param {ServiceBroker} broker
+ * @returns {Array<Object>}
+ */
+function resolveNodeIDs(list, broker) {
+	const instances = new Map(broker.registry.getNodeList({ onlyAvailable: false })
+		.filter(node => node.instanceID)
+		.map(node => [node.instanceID, node.id]));
+
+	return list.map(node => {
+		if (!node || node.id)
+			return node;
+
+		const id = node.nodeID || node.sender || instances.get(node.instanceID) || broker.nodeID;
+		return Object.assign({ id }, node);
+	});
+}
+
+/**
+ * Load a saved registry snapshot (created by `nodes --save`).
+ *
+ * @param {String} filename
+ * @param {ServiceBroker} broker
+ * @returns {Array<Object>}
+ */
+function loadSnapshot(filename, broker) {
+	const fName = path.resolve(filename);
+	if (!fs.existsSync(fName))
+		throw new Error(`Snapshot file not found: ${fName}`);
+
+	const list = JSON.parse(fs.readFileSync(fName, "utf8"));
+	if (!Array.isArray(list))
+		throw new Error(`Invalid snapshot file: ${fName}`);
+
+	return resolveNodeIDs(list, broker);
+}
+
+/**
+ * Convert a raw node list to `nodeID -> services` map. The offline nodes are skipped.
+ *
+ * @param {Array<Object>} list Node list with resolved IDs (see `resolveNodeIDs`)
+ * @returns {Object}
+ */
+function normalizeNodes(list) {
+	return _.fromPairs(list
+		.filter(node => node && node.available !== false)
+		.map(node => [node.id, normalizeServices(node.services || [])]));
+}
+
+/**
+ * Convert a raw service list to `fullName -> service` map.
+ *
+ * @param {Array<Object>} services
+ * @returns {Object}
+ */
+function normalizeServices(services) {
+	return _.fromPairs(services.map(svc => {
+		const fullName = svc.fullName || (svc.version != null ? `v${svc.version}.${svc.name}` : svc.name);
+		return [fullName, {
+			name: svc.name,
+			version: svc.version,
+			fullName,
+			// Action names without the service prefix, so they are comparable between versions
+			actions: _.mapKeys(svc.actions || {}, (action, name) => action.rawName || name.substring(name.lastIndexOf(".") + 1)),
+			events: svc.events || {}
+		}];
+	}));
+}
+
+/**
+ * Compare two param schemas on the first level.
+ *
+ * @param {Object?} prev
+ * @param {Object?} curr
+ * @returns {Object?} `{ added, removed, changed }` or `null` if they are equal.
+ */
+function diffParams(prev, curr) {
+	if (_.isEqual(prev, curr))
+		return null;
+
+	prev = prev || {};
+	curr = curr || {};
+	const prevKeys = Object.keys(prev);
+	const currKeys = Object.keys(curr);
+
+	return {
+		added: _.difference(currKeys, prevKeys),
+		removed: _.difference(prevKeys, currKeys),
+		changed: _.intersection(prevKeys, currKeys).filter(key => !_.isEqual(prev[key], curr[key]))
+	};
+}
+
+/**
+ * Compare two services.
+ *
+ * @param {Object} prev
+ * @param {Object} curr
+ * @returns {Object?} The differences or `null` if they are equal.
+ */
+function diffService(prev, curr) {
+	const prevActions = Object.keys(prev.actions);
+	const currActions = Object.keys(curr.actions);
+	const prevEvents = Object.keys(prev.events);
+	const currEvents = Object.keys(curr.events);
+
+	const res = {
+		name: curr.name,
+		version: prev.version !== curr.version ? { from: prev.version, to: curr.version } : null,
+		actions: {
+			added: _.difference(currActions, prevActions),
+			removed: _.difference(prevActions, currActions),
+			changed: _.intersection(prevActions, currActions)
+				.map(name => ({ name, params: diffParams(prev.actions[name].params, curr.actions[name].params) }))
+				.filter(item => item.params)
+		},
+		events: {
+			added: _.difference(currEvents, prevEvents),
+			removed: _.difference(prevEvents, currEvents),
+			changed: _.intersection(prevEvents, currEvents)
+				.filter(name => prev.events[name].group !== curr.events[name].group)
+				.map(name => ({ name, from: prev.events[name].group, to: curr.events[name].group }))
+		}
+	};
+
+	const changed = res.version || _.some(res.actions, list => list.length > 0) || _.some(res.events, list => list.length > 0);
+	return changed ? res : null;
+}
+
+/**
+ * Compare two `fullName -> service` maps. The added & removed services
+ * with the same name are paired as a version change.
+ *
+ * @param {Object} prev
+ * @param {Object} curr
+ * @returns {Object} `{ added, removed, changed }`
+ */
+function diffServices(prev, curr) {
+	const removed = _.difference(Object.keys(prev), Object.keys(curr)).map(key => prev[key]);
+	const added = _.difference(Object.keys(curr), Object.keys(prev)).map(key => curr[key]);
+	const changed = _.intersection(Object.keys(prev), Object.keys(curr)).map(key => diffService(prev[key], curr[key]));
+
+	// Version changes
+	removed.slice().forEach(prevSvc => {
+		const currSvc = added.find(svc => svc.name == prevSvc.name);
+		if (currSvc) {
+			_.pull(removed, prevSvc);
+			_.pull(added, currSvc);
+			changed.push(diffService(prevSvc, currSvc));
+		}
+	});
+
+	return {
+		added: _.sortBy(added.map(svc => svc.fullName)),
+		removed: _.sortBy(removed.map(svc => svc.fullName)),
+		changed: _.sortBy(_.compact(changed), "name")
+	};
+}
+
+function isEmptyServiceDiff(diff) {
+	return diff.added.length == 0 && diff.removed.length == 0 && diff.changed.length == 0;
+}
+
+/**
+ * Compare two raw node lists by nodes.
+ *
+ * @param {Array<Object>} prevList
+ * @param {Array<Object>} currList
+ * @returns {Object} `{ added, removed, changed }`
+ */
+function diffNodes(prevList, currList) {
+	const prev = normalizeNodes(prevList);
+	const curr = normalizeNodes(currList);
+
+	return {
+		added: _.sortBy(_.difference(Object.keys(curr), Object.keys(prev))).map(nodeID => ({ nodeID, services: Object.keys(curr[nodeID]) })),
+		removed: _.sortBy(_.difference(Object.keys(prev), Object.keys(curr))).map(nodeID => ({ nodeID, services: Object.keys(prev[nodeID]) })),
+		changed: _.sortBy(_.intersection(Object.keys(prev), Object.keys(curr)))
+			.map(nodeID => ({ nodeID, services: diffServices(prev[nodeID], curr[nodeID]) }))
+			.filter(item => !isEmptyServiceDiff(item.services))
+	};
+}
+
+/**
+ * Compare the services of two raw node lists (regardless of the nodes).
+ *
+ * @param {Array<Object>} prevList
+ * @param {Array<Object>} currList
+ * @returns {Object} `{ added, removed, changed }`
+ */
+function diffClusterServices(prevList, currList) {
+	const merge = nodes => Object.assign({}, ..._.values(nodes).reverse());
+	return diffServices(merge(normalizeNodes(prevList)), merge(normalizeNodes(currList)));
+}
+
+function formatParamsDiff(diff) {
+	return [].concat(
+		diff.added.map(key => kleur.green("+" + key)),
+		diff.removed.map(key => kleur.red("-" + key)),
+		diff.changed.map(key => kleur.yellow("~" + key))
+	).join(", ");
+}
+
+/**
+ * Print the added, removed & changed services.
+ *
+ * @param {Object} diff
+ * @param {String} indent
+ */
+function printServiceChanges(diff, indent) {
+	diff.added.forEach(name => console.log(indent + kleur.green(`+ service ${name}`)));
+	diff.removed.forEach(name => console.log(indent + kleur.red(`- service ${name}`)));
+	diff.changed.forEach(svc => {
+		let line = indent + kleur.yellow(`~ service ${svc.name}`);
+		if (svc.version)
+			line += kleur.yellow(`: version ${svc.version.from != null ? svc.version.from : "-"} → ${svc.version.to != null ? svc.version.to : "-"}`);
+		console.log(line);
+
+		const sub = indent + "    ";
+		svc.actions.added.forEach(name => console.log(sub + kleur.green(`+ action ${name}`)));
+		svc.actions.removed.forEach(name => console.log(sub + kleur.red(`- action ${name}`)));
+		svc.actions.changed.forEach(item => console.log(sub + kleur.yellow(`~ action ${item.name} params: `) + formatParamsDiff(item.params)));
+		svc.events.added.forEach(name => console.log(sub + kleur.green(`+ event ${name}`)));
+		svc.events.removed.forEach(name => console.log(sub + kleur.red(`- event ${name}`)));
+		svc.events.changed.forEach(item => console.log(sub + kleur.yellow(`~ event ${item.name} group: ${item.from} → ${item.to}`)));
+	});
+}
+
+/**
+ * Print the differences of nodes.
+ *
+ * @param {Object} diff
+ */
+function printNodesDiff(diff) {
+	if (diff.added.length == 0 && diff.removed.length == 0 && diff.changed.length == 0) {
+		console.log(kleur.green().bold("  No differences."));
+		return;
+	}
+
+	diff.added.forEach(node => console.log(kleur.green(`  + node ${node.nodeID}`) + kleur.gray(` (${node.services.join(", ")})`)));
+	diff.removed.forEach(node => console.log(kleur.red(`  - node ${node.nodeID}`) + kleur.gray(` (${node.services.join(", ")})`)));
+	diff.changed.forEach(node => {
+		console.log(kleur.yellow(`  ~ node ${node.nodeID}`));
+		printServiceChanges(node.services, "      ");
+	});
+}
+
+/**
+ * Print the differences of cluster services.
+ *
+ * @param {Object} diff
+ */
+function printServicesDiff(diff) {
+	if (isEmptyServiceDiff(diff))
+		console.log(kleur.green().bold("  No differences."));
+	else
+		printServiceChanges(diff, "  ");
+}
+
+module.exports = {
+	getRegistrySnapshot,
+	resolveNodeIDs,
+	loadSnapshot,
+	diffNodes,
+	diffClusterServices,
+	printNodesDiff,
+	printServicesDiff
+};
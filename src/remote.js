@@ -0,0 +1,513 @@
+/*
+ * moleculer-repl
+ * Copyright (c) 2018 MoleculerJS (https://github.com/moleculerjs/moleculer-repl)
+ * MIT Licensed
+ */
+
+"use strict";
+
+const net 				= require("net");
+const fs 				= require("fs");
+const os 				= require("os");
+const path 				= require("path");
+const crypto 			= require("crypto");
+const _ 				= require("lodash");
+const kleur 			= require("kleur");
+const { onStopKey } 	= require("./watch");
+const output 			= require("./output");
+
+// Commands which are handled by the client itself
+const LOCAL_COMMANDS = ["q", "help"];
+
+// Vorpal instances which route the output of the commands to the sessions
+const routedVorpals = new WeakSet();
+
+// Output of the running command by Vorpal instance (`undefined` for the local commands)
+const runningOutputs = new WeakMap();
+
+// Max length of a message which is sent by a client
+const MAX_MESSAGE_LENGTH = 1024 * 1024;
+
+// The client must send the `hello` message within this time
+const HANDSHAKE_TIMEOUT = 10 * 1000;
+
+/**
+ * Read newline-delimited JSON messages from a socket.
+ *
+ * @param {Socket} socket
+ * @param {Function} handler
+ * @param {Number?} maxLength Max length of a message. The socket is destroyed if it's exceeded.
+ */
+function onMessage(socket, handler, maxLength = Infinity) {
+	let buffer = "";
+	socket.setEncoding("utf8");
+	socket.on("data", chunk => {
+		buffer += chunk;
+		if (buffer.indexOf("\n") === -1 && buffer.length > maxLength) {
+			buffer = "";
+			socket.destroy();
+			return;
+		}
+
+		let idx;
+		while ((idx = buffer.indexOf("\n")) !== -1) {
+			const line = buffer.substring(0, idx);
+			buffer = buffer.substring(idx + 1);
+			if (line.length > maxLength) {
+				socket.destroy();
+				return;
+			}
+			if (line.length == 0)
+				continue;
+
+			let msg;
+			try {
+				msg = JSON.parse(line);
+			} catch(err) {
+				socket.destroy();
+				return;
+			}
+			handler(msg);
+		}
+	});
+}
+
+/**
+ * Send a message to a socket.
+ *
+ * @param {Socket} socket
+ * @param {Object} msg
+ */
+function sendMessage(socket, msg) {
+	if (!socket.destroyed)
+		socket.write(JSON.stringify(msg) + "\n");
+}
+
+/**
+ * Compare the secrets in constant time.
+ *
+ * @param {String?} secret
+ * @param {String} expected
+ * @returns {Boolean}
+ */
+function checkSecret(secret, expected) {
+	const hash = str => crypto.createHash("sha256").update(String(str)).digest();
+	return secret != null && crypto.timingSafeEqual(hash(secret), hash(expected));
+}
+
+/**
+ * Get the definitions of the registered commands, so the client can register
+ * the same commands with the same options & autocompletion.
+ *
+ * @param {Vorpal} vorpal
+ * @returns {Array<Object>}
+ */
+function getCommandDefs(vorpal) {
+	return vorpal.commands
+		.filter(cmd => LOCAL_COMMANDS.indexOf(cmd._name) === -1 && !cmd._catch)
+		.map(cmd => ({
+			name: cmd._name,
+			command: [cmd._name].concat(cmd._args.map(arg => {
+				const name = arg.name + (arg.variadic ? "..." : "");
+				return arg.required ? `<${name}>` : `[${name}]`;
+			})).join(" "),
+			description: cmd._description,
+			aliases: cmd._aliases,
+			options: cmd.options.map(opt => ({
+				flags: opt.flags,
+				description: opt.description,
+				autocomplete: Array.isArray(opt.autocomplete) ? opt.autocomplete : undefined
+			})),
+			autocomplete: cmd._autocomplete != null,
+			allowUnknownOptions: cmd._allowUnknownOptions,
+			hidden: cmd._hidden
+		}));
+}
+
+/**
+ * Get the autocompletion data of a command.
+ *
+ * @param {Vorpal} vorpal
+ * @param {String} name
+ * @returns {Promise<Array<String>>}
+ */
+function getAutocompleteData(vorpal, name) {
+	const cmd = vorpal.find(name);
+	const config = cmd ? cmd._autocomplete : null;
+	const data = config && !Array.isArray(config) ? config.data : config;
+	return Promise.resolve().then(() => _.isFunction(data) ? data() : data).then(res => res || []);
+}
+
+/**
+ * Execute the queued commands of Vorpal with the output of the session which has sent them.
+ * The local commands are executed without a session output.
+ *
+ * @param {Vorpal} vorpal
+ */
+function routeCommandOutput(vorpal) {
+	if (routedVorpals.has(vorpal))
+		return;
+
+	const execQueueItem = vorpal._execQueueItem;
+	vorpal._execQueueItem = function(cmd) {
+		const sessionOutput = cmd.args ? cmd.args.output : null;
+		runningOutputs.set(this, sessionOutput);
+		return output.run(sessionOutput, () => execQueueItem.call(this, cmd));
+	};
+	routedVorpals.add(vorpal);
+}
+
+/**
+ * Execute a command and send the output to the remote session.
+ *
+ * @param {Vorpal} vorpal
+ * @param {Object} session
+ * @param {Object} msg
+ * @returns {Promise}
+ */
+function execCommand(vorpal, session, msg) {
+	const send = data => sendMessage(session.socket, Object.assign({ id: msg.id }, data));
+
+	const match = vorpal.util.parseCommand(msg.command, vorpal.commands).match;
+	if (match && LOCAL_COMMANDS.indexOf(match._name) !== -1) {
+		send({ type: "output", data: kleur.red().bold(`>> The '${match._name}' command is not available in remote sessions.`) + "\n" });
+		send({ type: "done", error: true });
+		return Promise.resolve();
+	}
+
+	session.running = true;
+	return vorpal.exec(msg.command, { output: session.output })
+		.then(() => false, () => true)
+		.then(error => {
+			session.running = false;
+			send({ type: "done", error });
+		});
+}
+
+/**
+ * Cancel the running command of a remote session. The commands of all sessions
+ * are executed in the same queue, so only the command of this session is cancelled.
+ *
+ * @param {Vorpal} vorpal
+ * @param {Object} session
+ */
+function cancelCommand(vorpal, session) {
+	if (session.running && runningOutputs.get(vorpal) === session.output && vorpal.session.cancelCommands)
+		vorpal.session.emit("vorpal_command_cancel");
+}
+
+/**
+ * Handle a remote session.
+ *
+ * @param {Vorpal} vorpal
+ * @param {ServiceBroker} broker
+ * @param {Object} opts
+ * @param {Socket} socket
+ */
+function handleConnection(vorpal, broker, opts, socket) {
+	const session = { socket, ready: false, running: false };
+
+	// Everything which is printed by the commands of the session (even after the command is finished,
+	// e.g. the received events of `listener`) is sent to the client.
+	session.output = output.createOutput(data => sendMessage(socket, { type: "output", data }), 80);
+
+	const handshakeTimer = setTimeout(() => socket.destroy(), HANDSHAKE_TIMEOUT);
+
+	onMessage(socket, msg => {
+		if (!session.ready) {
+			clearTimeout(handshakeTimer);
+			if (msg.type != "hello")
+				return socket.destroy();
+
+			if (opts.secret != null && !checkSecret(msg.secret, opts.secret)) {
+				sendMessage(socket, { type: "error", message: "Authentication failed." });
+				return socket.end();
+			}
+
+			session.ready = true;
+			session.output.stream.columns = msg.columns || session.output.stream.columns;
+			return sendMessage(socket, {
+				type: "ready",
+				nodeID: broker.nodeID,
+				delimiter: opts.delimiter,
+				commands: getCommandDefs(vorpal)
+			});
+		}
+
+		switch(msg.type) {
+		case "exec": {
+			execCommand(vorpal, session, msg);
+			break;
+		}
+		case "autocomplete": {
+			getAutocompleteData(vorpal, msg.command)
+				.catch(() => [])
+				.then(data => sendMessage(socket, { type: "autocomplete", id: msg.id, data }));
+			break;
+		}
+		case "key": {
+			// E.g. stop the live views with `q`
+			if (session.running)
+				session.output.keys.emit("keypress", null, msg.key);
+			break;
+		}
+		case "cancel": {
+			cancelCommand(vorpal, session);
+			break;
+		}
+		case "resize": {
+			session.output.stream.columns = msg.columns || session.output.stream.columns;
+			break;
+		}
+		}
+	}, MAX_MESSAGE_LENGTH);
+
+	socket.on("error", () => socket.destroy());
+	socket.on("close", () => {
+		clearTimeout(handshakeTimer);
+		cancelCommand(vorpal, session);
+		session.output.close();
+	});
+}
+
+/**
+ * Expose the REPL on a TCP port or a Unix socket.
+ *
+ * @param {Vorpal} vorpal
+ * @param {ServiceBroker} broker
+ * @param {Object} opts
+ * @param {Number?} opts.port TCP port
+ * @param {String?} opts.host TCP host (default: `127.0.0.1`)
+ * @param {String?} opts.path Path of the Unix socket
+ * @param {String?} opts.secret Shared secret which the clients must send
+ * @param {String} opts.delimiter
+ * @returns {Promise<net.Server>}
+ */
+function createServer(vorpal, broker, opts) {
+	opts = _.defaults({}, opts, { host: "127.0.0.1" });
+
+	try {
+		output.install();
+	} catch(err) {
+		return Promise.reject(err);
+	}
+	routeCommandOutput(vorpal);
+
+	const server = net.createServer(socket => handleConnection(vorpal, broker, opts, socket));
+
+	return new Promise((resolve, reject) => {
+		server.once("error", reject);
+
+		let address;
+		if (opts.path) {
+			// Remove the socket file of a previous process, but never a regular file
+			let stat = null;
+			try {
+				stat = fs.lstatSync(opts.path);
+			} catch(err) {
+				if (err.code != "ENOENT")
+					return reject(err);
+			}
+			if (stat) {
+				if (!stat.isSocket())
+					return reject(new Error(`The '${opts.path}' path exists and it's not a socket. Remove it or use another path.`));
+				fs.unlinkSync(opts.path);
+			}
+			address = opts.path;
+			server.listen(opts.path);
+		} else {
+			address = `${opts.host}:${opts.port}`;
+			server.listen(opts.port, opts.host);
+		}
+
+		server.once("listening", () => {
+			server.removeListener("error", reject);
+			console.log(kleur.yellow().bold(`>> REPL server is listening on '${address}'.`) + (opts.secret != null ? kleur.gray(" (secret required)") : ""));
+			resolve(server);
+		});
+	});
+}
+
+/**
+ * Connect to a REPL server and start an interactive console. It registers the commands
+ * of the server and sends the command lines to the server for execution.
+ *
+ * @param {Object} opts
+ * @param {Number?} opts.port TCP port
+ * @param {String?} opts.host TCP host (default: `127.0.0.1`)
+ * @param {String?} opts.path Path of the Unix socket
+ * @param {String?} opts.secret Shared secret
+ * @param {Boolean?} opts.history Persist the command history (default: `true`)
+ * @param {String?} opts.historyPath
+ * @returns {Promise<Vorpal>} Resolves when the console is ready.
+ */
+function connect(opts) {
+	opts = _.defaults({}, opts, {
+		host: "127.0.0.1",
+		history: true,
+		historyPath: path.join(os.homedir(), ".moleculer-repl")
+	});
+
+	const vorpal = require("@moleculer/vorpal")();
+	const address = opts.path || `${opts.host}:${opts.port}`;
+	const socket = net.connect(opts.path ? { path: opts.path } : { port: opts.port, host: opts.host });
+
+	let lastId = 0;
+	let current = null;
+	let lastCommand;
+	const pendingAutocompletes = new Map();
+
+	const send = msg => sendMessage(socket, msg);
+
+	const finish = () => {
+		if (current) {
+			current.removeKeyListener();
+			current = null;
+		}
+	};
+
+	const registerCommand = def => {
+		const cmd = vorpal.command(def.command, def.description);
+		def.aliases.forEach(alias => cmd.alias(alias));
+		def.options.forEach(opt => cmd.option(opt.flags, opt.description, opt.autocomplete));
+
+		if (def.allowUnknownOptions)
+			cmd.allowUnknownOptions();
+
+		if (def.hidden)
+			cmd.hidden();
+
+		if (def.autocomplete) {
+			cmd.autocomplete({
+				data() {
+					const id = ++lastId;
+					return new Promise(resolve => {
+						pendingAutocompletes.set(id, resolve);
+						send({ type: "autocomplete", id, command: def.name });
+					});
+				}
+			});
+		}
+
+		// The server parses the original command line
+		cmd.parse(str => {
+			lastCommand = str;
+			return str;
+		});
+
+		cmd.action((args, done) => {
+			const id = ++lastId;
+			current = {
+				id,
+				done,
+				removeKeyListener: onStopKey(key => {
+					// `Ctrl+C` is handled by the `cancel` of Vorpal
+					if (!key.ctrl)
+						send({ type: "key", key: _.pick(key, ["name", "ctrl", "meta", "shift"]) });
+				})
+			};
+			send({ type: "exec", id, command: lastCommand });
+		});
+
+		cmd.cancel(() => {
+			finish();
+			send({ type: "cancel" });
+		});
+	};
+
+	return new Promise((resolve, reject) => {
+		let ready = false;
+
+		onMessage(socket, msg => {
+			switch(msg.type) {
+			case "ready": {
+				ready = true;
+
+				vorpal.find("exit").remove();
+				vorpal
+					.command("q", "Exit from the remote REPL")
+					.alias("quit")
+					.alias("exit")
+					.action(() => {
+						socket.end();
+						process.exit(0);
+					});
+
+				msg.commands.forEach(registerCommand);
+
+				if (opts.history) {
+					vorpal
+						.historyStoragePath(opts.historyPath)
+						.history(`remote-${address.replace(/[^\w.-]/g, "_")}`);
+				}
+
+				console.log(kleur.yellow().bold(`>> Connected to '${msg.nodeID}' node on '${address}'.`));
+				vorpal
+					.delimiter(msg.delimiter)
+					.show();
+
+				resolve(vorpal);
+				break;
+			}
+			case "error": {
+				if (!ready)
+					return reject(new Error(msg.message));
+
+				console.error(kleur.red().bold(">> " + msg.message));
+				break;
+			}
+			case "output": {
+				if (current) {
+					process.stdout.write(msg.data);
+				} else {
+					// Printed after the command has been finished (e.g. received events of `listener`)
+					vorpal.log(msg.data.replace(/\n$/, ""));
+				}
+				break;
+			}
+			case "done": {
+				if (current && current.id == msg.id) {
+					const done = current.done;
+					finish();
+					done();
+				}
+				break;
+			}
+			case "autocomplete": {
+				const resolveData = pendingAutocompletes.get(msg.id);
+				if (resolveData) {
+					pendingAutocompletes.delete(msg.id);
+					resolveData(msg.data);
+				}
+				break;
+			}
+			}
+		});
+
+		socket.on("connect", () => {
+			send({ type: "hello", secret: opts.secret, columns: process.stdout.columns });
+			process.stdout.on("resize", () => send({ type: "resize", columns: process.stdout.columns }));
+		});
+
+		socket.on("error", err => {
+			if (!ready)
+				return reject(err);
+
+			console.error(kleur.red().bold(">> Connection error:"), err.message);
+		});
+
+		socket.on("close", () => {
+			if (!ready)
+				return reject(new Error(`Connection to '${address}' has been closed.`));
+
+			finish();
+			console.log(kleur.yellow().bold("\n>> Connection has been closed."));
+			process.exit(0);
+		});
+	});
+}
+
+module.exports = {
+	createServer,
+	connect
+};
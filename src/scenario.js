@@ -0,0 +1,189 @@
+/*
+ * moleculer-repl
+ * Copyright (c) 2018 MoleculerJS (https://github.com/moleculerjs/moleculer-repl)
+ * MIT Licensed
+ */
+
+"use strict";
+
+const fs 				= require("fs");
+const path 				= require("path");
+const crypto 			= require("crypto");
+const _ 				= require("lodash");
+const variables 		= require("./variables");
+
+/**
+ * Generators which can be used in the param templates of a scenario.
+ * E.g.: `{ "id": "{{ random 1 100 }}", "name": "user-{{ iteration }}" }`
+ * The session variables can be used as well, e.g. `{{ $last.id }}`.
+ */
+const GENERATORS = {
+	random: (ctx, min = 0, max = 100) => _.random(Number(min), Number(max)),
+	float: (ctx, min = 0, max = 1) => _.random(Number(min), Number(max), true),
+	pick: (ctx, ...values) => _.sample(values),
+	bool: () => Math.random() < 0.5,
+	string: (ctx, length = 8) => crypto.randomBytes(Math.ceil(Number(length) / 2)).toString("hex").substring(0, Number(length)),
+	uuid: () => {
+		const bytes = crypto.randomBytes(16);
+		bytes[6] = bytes[6] & 0x0f | 0x40;
+		bytes[8] = bytes[8] & 0x3f | 0x80;
+		const hex = bytes.toString("hex");
+		return [hex.substring(0, 8), hex.substring(8, 12), hex.substring(12, 16), hex.substring(16, 20), hex.substring(20)].join("-");
+	},
+	iteration: ctx => ctx.iteration,
+	timestamp: () => Date.now(),
+	date: () => new Date().toISOString()
+};
+
+/**
+ * Evaluate a template expression.
+ *
+ * @param {String} expr E.g.: `random 1 100`
+ * @param {Object} ctx
+ * @returns {any}
+ */
+function evaluate(expr, ctx) {
+	const [name, ...args] = expr.split(/\s+/);
+	if (!GENERATORS[name]) {
+		if (args.length == 0 && variables.hasVariable(name))
+			return variables.resolve(name);
+
+		throw new Error(`Unknown generator '${name}'. Available generators: ${Object.keys(GENERATORS).join(", ")}`);
+	}
+
+	return GENERATORS[name](ctx, ...args);
+}
+
+/**
+ * Render a param template with the same template syntax as the session variables.
+ * If a string contains only one expression, the value keeps the type of the generator (e.g. number).
+ *
+ * @param {any} template
+ * @param {Object} ctx
+ * @returns {any}
+ */
+function render(template, ctx) {
+	return variables.interpolate(template, expr => evaluate(expr, ctx));
+}
+
+/**
+ * Convert a think time definition to `[min, max]` milliseconds.
+ *
+ * @param {Number|Array<Number>} value
+ * @returns {Array<Number>}
+ */
+function normalizeThinkTime(value) {
+	if (value == null)
+		return null;
+
+	const range = Array.isArray(value) ? value.map(Number) : [Number(value), Number(value)];
+	if (range.length != 2 || range.some(v => isNaN(v) || v < 0))
+		throw new Error(`Invalid think time: ${JSON.stringify(value)}. It must be a number or a [min, max] range in milliseconds.`);
+
+	return range;
+}
+
+/**
+ * Create a scenario from a definition.
+ *
+ * @param {Object} def
+ * @returns {Object}
+ */
+function createScenario(def) {
+	if (!def || !Array.isArray(def.actions) || def.actions.length == 0)
+		throw new Error("The scenario must contain an `actions` array.");
+
+	const thinkTime = normalizeThinkTime(def.thinkTime);
+	const names = {};
+
+	const items = def.actions.map((item, i) => {
+		if (_.isString(item))
+			item = { action: item };
+
+		if (!item || !_.isString(item.action))
+			throw new Error(`Missing action name in the scenario at index ${i}.`);
+
+		const weight = item.weight != null ? Number(item.weight) : 1;
+		if (isNaN(weight) || weight <= 0)
+			throw new Error(`Invalid weight of '${item.action}' action: ${item.weight}`);
+
+		let name = item.name || item.action;
+		names[name] = (names[name] || 0) + 1;
+		if (names[name] > 1)
+			name += "#" + names[name];
+
+		// Validate the templates before the benchmark
+		if (!_.isFunction(item.params))
+			render(item.params, { iteration: 0 });
+
+		return {
+			name,
+			action: item.action,
+			weight,
+			meta: item.meta,
+			nodeID: item.nodeID,
+			thinkTime: item.thinkTime != null ? normalizeThinkTime(item.thinkTime) : thinkTime,
+			getParams: ctx => _.isFunction(item.params) ? item.params(ctx) : render(item.params, ctx)
+		};
+	});
+
+	return {
+		name: def.name,
+		items,
+		totalWeight: _.sumBy(items, "weight")
+	};
+}
+
+/**
+ * Load a scenario from a JSON or JS file.
+ *
+ * @param {String} filename
+ * @returns {Object}
+ */
+function loadScenario(filename) {
+	const fName = path.resolve(filename);
+	if (!fs.existsSync(fName))
+		throw new Error(`Scenario file not found: ${fName}`);
+
+	let def;
+	if (path.extname(fName) == ".js") {
+		delete require.cache[fName];
+		def = require(fName);
+	} else {
+		def = JSON.parse(fs.readFileSync(fName, "utf8"));
+	}
+
+	const scenario = createScenario(def);
+	if (!scenario.name)
+		scenario.name = path.basename(fName);
+
+	return scenario;
+}
+
+/**
+ * Choose a random item of the scenario by the weights.
+ *
+ * @param {Object} scenario
+ * @returns {Object}
+ */
+function pickItem(scenario) {
+	let rnd = Math.random() * scenario.totalWeight;
+	return scenario.items.find(item => (rnd -= item.weight) < 0) || scenario.items[scenario.items.length - 1];
+}
+
+/**
+ * Get a random think time of an item in milliseconds.
+ *
+ * @param {Object} item
+ * @returns {Number}
+ */
+function getThinkTime(item) {
+	return item.thinkTime ? _.random(item.thinkTime[0], item.thinkTime[1]) : 0;
+}
+
+module.exports = {
+	createScenario,
+	loadScenario,
+	pickItem,
+	getThinkTime
+};
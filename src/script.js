@@ -0,0 +1,72 @@
+/*
+ * moleculer-repl
+ * Copyright (c) 2018 MoleculerJS (https://github.com/moleculerjs/moleculer-repl)
+ * MIT Licensed
+ */
+
+"use strict";
+
+const fs 				= require("fs");
+const path 				= require("path");
+const kleur 			= require("kleur");
+
+/**
+ * Parse the content of a REPL script. Every non-empty line is a command,
+ * lines starting with `#` or `//` are comments.
+ *
+ * @param {String} content
+ * @returns {Array<Object>} List of `{ line, command }` items
+ */
+function parseScript(content) {
+	return content
+		.split(/\r?\n/)
+		.map((command, i) => ({ line: i + 1, command: command.trim() }))
+		.filter(item => item.command.length > 0 && !item.command.startsWith("#") && !item.command.startsWith("//"));
+}
+
+/**
+ * Execute the commands of a REPL script one after the other.
+ * It stops at the first failed command.
+ *
+ * @param {Vorpal} vorpal
+ * @param {String} filename
+ * @param {Object} opts
+ * @returns {Promise<Boolean>} Resolves `true` if all commands were executed successfully.
+ */
+function runScript(vorpal, filename, opts) {
+	const fName = path.resolve(filename);
+	if (!fs.existsSync(fName)) {
+		console.error(kleur.red().bold(">> Script file not found:"), fName);
+		return Promise.resolve(false);
+	}
+
+	const items = parseScript(fs.readFileSync(fName, "utf8"));
+
+	// Check the commands before executing anything
+	const unknown = items.find(item => {
+		const match = vorpal.util.parseCommand(item.command, vorpal.commands).match;
+		return !match || match._catch;
+	});
+	if (unknown) {
+		console.error(kleur.red().bold(`>> Unknown command in '${fName}' at line ${unknown.line}:`), unknown.command);
+		return Promise.resolve(false);
+	}
+
+	return items.reduce((p, item) => p.then(success => {
+		if (!success)
+			return false;
+
+		console.log(kleur.gray(opts.delimiter + " ") + item.command);
+		return vorpal.exec(item.command)
+			.then(() => true)
+			.catch(() => {
+				console.error(kleur.red().bold(`>> Script failed at line ${item.line}:`), item.command);
+				return false;
+			});
+	}), Promise.resolve(true));
+}
+
+module.exports = {
+	parseScript,
+	runScript
+};
@@ -0,0 +1,191 @@
+/*
+ * moleculer-repl
+ * Copyright (c) 2018 MoleculerJS (https://github.com/moleculerjs/moleculer-repl)
+ * MIT Licensed
+ */
+
+"use strict";
+
+const _ 				= require("lodash");
+
+const NAME_RE = /^[^.[\]{}:,\s*]+/;
+
+/**
+ * Parse a select expression. Supported segments:
+ * 	- `name`, `.name` - property
+ * 	- `[2]`, `[-1]` - array index
+ * 	- `[1:3]` - array slice
+ * 	- `[*]`, `[]`, `.*` - all items of an array or values of an object
+ * 	- `{id, name, city: address.city}` - projection
+ *
+ * After a slice or wildcard, the following segments are applied to every item.
+ * E.g.: `rows[*].{id, name}`
+ *
+ * @param {String} expr
+ * @returns {Array<Object>} Segments
+ */
+function parseSelector(expr) {
+	let pos = 0;
+
+	const error = msg => new Error(`Invalid select expression '${expr}' at position ${pos}: ${msg}`);
+	const skipSpaces = () => {
+		while (pos < expr.length && /\s/.test(expr[pos]))
+			pos++;
+	};
+	const readName = () => {
+		const m = expr.substring(pos).match(NAME_RE);
+		if (!m)
+			throw error("property name expected");
+		pos += m[0].length;
+		return m[0];
+	};
+
+	const parsePath = stopChars => {
+		const segments = [];
+		skipSpaces();
+		while (pos < expr.length && stopChars.indexOf(expr[pos]) === -1) {
+			const ch = expr[pos];
+			if (ch == ".") {
+				pos++;
+				if (expr[pos] == "*") {
+					pos++;
+					segments.push({ type: "wildcard" });
+				} else if (pos < expr.length && expr[pos] != "[" && expr[pos] != "{" && stopChars.indexOf(expr[pos]) === -1) {
+					segments.push({ type: "key", name: readName() });
+				}
+			} else if (ch == "[") {
+				const end = expr.indexOf("]", pos);
+				if (end === -1)
+					throw error("missing ']'");
+
+				const inner = expr.substring(pos + 1, end).trim();
+				if (inner == "" || inner == "*") {
+					segments.push({ type: "wildcard" });
+				} else if (/^-?\d+$/.test(inner)) {
+					segments.push({ type: "index", index: Number(inner) });
+				} else if (/^(-?\d+)?:(-?\d+)?$/.test(inner)) {
+					const [start, stop] = inner.split(":");
+					segments.push({ type: "slice", start: start ? Number(start) : undefined, end: stop ? Number(stop) : undefined });
+				} else {
+					throw error(`invalid index '${inner}'`);
+				}
+				pos = end + 1;
+			} else if (ch == "{") {
+				pos++;
+				const fields = [];
+				for (;;) {
+					skipSpaces();
+					const name = readName();
+					skipSpaces();
+					let path = [{ type: "key", name }];
+					if (expr[pos] == ":") {
+						pos++;
+						path = parsePath(",}");
+					}
+					fields.push({ name, path });
+					skipSpaces();
+					if (expr[pos] == ",") {
+						pos++;
+					} else if (expr[pos] == "}") {
+						pos++;
+						break;
+					} else {
+						throw error("missing '}'");
+					}
+				}
+				segments.push({ type: "projection", fields });
+			} else if (ch == "*") {
+				pos++;
+				segments.push({ type: "wildcard" });
+			} else {
+				segments.push({ type: "key", name: readName() });
+			}
+			skipSpaces();
+		}
+		return segments;
+	};
+
+	const segments = parsePath("");
+	if (pos < expr.length)
+		throw error(`unexpected '${expr[pos]}'`);
+
+	return segments;
+}
+
+/**
+ * Apply the parsed segments to a value.
+ *
+ * @param {any} value
+ * @param {Array<Object>} segments
+ * @returns {any}
+ */
+function applySegments(value, segments) {
+	let multi = false;
+
+	const applySegment = (v, seg) => {
+		if (v == null)
+			return undefined;
+
+		switch(seg.type) {
+		case "key": return v[seg.name];
+		case "index": return Array.isArray(v) ? v[seg.index < 0 ? v.length + seg.index : seg.index] : undefined;
+		case "projection": return _.isObject(v) ? _.fromPairs(seg.fields.map(field => [field.name, applySegments(v, field.path)])) : undefined;
+		}
+	};
+
+	const expand = (v, seg) => {
+		if (seg.type == "slice")
+			return Array.isArray(v) ? v.slice(seg.start, seg.end) : [];
+		if (Array.isArray(v))
+			return v;
+		return _.isObject(v) ? Object.values(v) : [];
+	};
+
+	return segments.reduce((current, seg) => {
+		if (seg.type == "wildcard" || seg.type == "slice") {
+			const res = multi ? _.flatMap(current, v => expand(v, seg)) : expand(current, seg);
+			multi = true;
+			return res;
+		}
+
+		return multi
+			? current.map(v => applySegment(v, seg)).filter(v => v !== undefined)
+			: applySegment(current, seg);
+	}, value);
+}
+
+/**
+ * Select a part of a value by a select expression.
+ *
+ * @param {any} value
+ * @param {String|Array<Object>} expr Expression or parsed segments
+ * @returns {any}
+ */
+function select(value, expr) {
+	return applySegments(value, _.isString(expr) ? parseSelector(expr) : expr);
+}
+
+/**
+ * Replace the nested objects & arrays below the given depth with `[Object]` & `[Array]`
+ * like `util.inspect` does.
+ *
+ * @param {any} value
+ * @param {Number} depth
+ * @returns {any}
+ */
+function limitDepth(value, depth) {
+	if (!_.isObject(value) || _.isFunction(value))
+		return value;
+	if (depth < 0)
+		return Array.isArray(value) ? "[Array]" : "[Object]";
+
+	return Array.isArray(value)
+		? value.map(item => limitDepth(item, depth - 1))
+		: _.mapValues(value, item => limitDepth(item, depth - 1));
+}
+
+module.exports = {
+	parseSelector,
+	select,
+	limitDepth
+};
@@ -0,0 +1,144 @@
+/*
+ * moleculer-repl
+ * Copyright (c) 2018 MoleculerJS (https://github.com/moleculerjs/moleculer-repl)
+ * MIT Licensed
+ */
+
+"use strict";
+
+const _ 								= require("lodash");
+const kleur 							= require("kleur");
+const humanize 							= require("tiny-human-time").short;
+const { table, getBorderCharacters } 	= require("table");
+
+const TIMELINE_WIDTH = 30;
+
+/**
+ * Collect the spans of a trace. Local spans are collected with a temporary
+ * tracing exporter, the spans of other nodes are received via `$tracing.spans`
+ * events (if the nodes use the `Event` tracing exporter).
+ *
+ * @param {ServiceBroker} broker
+ * @param {String} traceID
+ * @returns {Object} Collector with a `stop` method which resolves the spans.
+ */
+function createTraceCollector(broker, traceID) {
+	const spans = new Map();
+	const add = span => {
+		if (span && span.traceID == traceID && !spans.has(span.id))
+			spans.set(span.id, span);
+	};
+
+	const tracer = broker.tracer;
+	const originalExporters = tracer.exporter;
+	const exporter = {
+		spanStarted() {},
+		spanFinished: add
+	};
+	tracer.exporter = (originalExporters || []).concat([exporter]);
+
+	const service = broker.createService({
+		name: "$repl-tracing",
+		events: {
+			"$tracing.spans": {
+				context: true,
+				handler(ctx) {
+					if (Array.isArray(ctx.params))
+						ctx.params.forEach(add);
+				}
+			}
+		}
+	});
+
+	return {
+		stop() {
+			tracer.exporter = originalExporters;
+			return broker.destroyService(service).then(() => Array.from(spans.values()));
+		}
+	};
+}
+
+/**
+ * Build a tree from the spans by the `parentID`.
+ *
+ * @param {Array<Object>} spans
+ * @returns {Array<Object>} Spans in tree order with `level` property.
+ */
+function flattenTree(spans) {
+	const ids = new Set(spans.map(span => span.id));
+	const children = _.groupBy(spans, span => ids.has(span.parentID) ? span.parentID : "$root");
+	const res = [];
+
+	const walk = (parentID, level) => {
+		_.sortBy(children[parentID] || [], "startTime").forEach(span => {
+			res.push({ span, level });
+			walk(span.id, level + 1);
+		});
+	};
+	walk("$root", 0);
+
+	return res;
+}
+
+/**
+ * Print the spans as a waterfall tree.
+ *
+ * @param {Array<Object>} spans
+ */
+function printTrace(spans) {
+	if (spans.length == 0) {
+		console.log(kleur.gray(">> No spans received."));
+		return;
+	}
+
+	const start = _.min(spans.map(span => span.startTime));
+	const end = _.max(spans.map(span => span.finishTime || span.startTime));
+	const total = Math.max(end - start, 1);
+
+	const data = [
+		[
+			kleur.bold("Span"),
+			kleur.bold("Service"),
+			kleur.bold("Action"),
+			kleur.bold("Node"),
+			kleur.bold("Timeline"),
+			kleur.bold("Duration"),
+			kleur.bold("Error")
+		]
+	];
+
+	flattenTree(spans).forEach(({ span, level }) => {
+		const offset = Math.min(Math.round((span.startTime - start) / total * TIMELINE_WIDTH), TIMELINE_WIDTH - 1);
+		const length = Math.max(Math.min(Math.round((span.duration || 0) / total * TIMELINE_WIDTH), TIMELINE_WIDTH - offset), 1);
+		const bar = " ".repeat(offset) + "■".repeat(length) + " ".repeat(TIMELINE_WIDTH - offset - length);
+		const tags = span.tags || {};
+
+		data.push([
+			"  ".repeat(level) + (level > 0 ? "└ " : "") + span.name,
+			span.service ? span.service.fullName || span.service.name : kleur.gray("-"),
+			tags.action ? tags.action.name : kleur.gray("-"),
+			tags.nodeID || kleur.gray("-"),
+			span.error ? kleur.red(bar) : kleur.green(bar),
+			span.duration != null ? humanize(span.duration) : kleur.gray("?"),
+			span.error ? kleur.red(_.compact([span.error.name || "Error", span.error.message]).join(": ")) : ""
+		]);
+	});
+
+	const tableConf = {
+		border: _.mapValues(getBorderCharacters("honeywell"), char => kleur.gray(char)),
+		columns: {
+			5: { alignment: "right" },
+			6: { width: 20, wrapWord: true }
+		},
+		drawHorizontalLine: (index, count) => index == 0 || index == 1 || index == count
+	};
+
+	console.log(kleur.yellow().bold(`>> Trace '${spans[0].traceID}' (${spans.length} spans, ${humanize(total)}):`));
+	console.log(table(data, tableConf));
+}
+
+module.exports = {
+	createTraceCollector,
+	flattenTree,
+	printTrace
+};
@@ -1,6 +1,12 @@
 "use strict";
 
 const _ 		= require("lodash");
+const fs 		= require("fs");
+const path 		= require("path");
+const kleur 	= require("kleur");
+const yaml 		= require("js-yaml");
+
+const OUTPUT_FORMATS = ["table", "json", "csv", "yaml"];
 
 function convertArgs(args) {
 	let res = {};
@@ -86,6 +92,106 @@ function match(text, pattern) {
 	return regex.test(text);
 }
 
+/**
+ * Remove ANSI color codes from a string.
+ *
+ * @param {String} str
+ * @returns {String}
+ */
+function stripAnsi(str) {
+	// eslint-disable-next-line no-control-regex
+	return str.replace(/\u001b\[[0-9;]*m/g, "");
+}
+
+/**
+ * Convert a list of plain objects to CSV.
+ * Nested values are serialized to JSON.
+ *
+ * @param {Array<Object>} rows
+ * @returns {String}
+ */
+function toCSV(rows) {
+	const keys = _.uniq(_.flatMap(rows, row => Object.keys(row)));
+	const escape = value => {
+		if (value == null)
+			return "";
+		let str = _.isObject(value) ? JSON.stringify(value) : String(value);
+		if (/[",\r\n]/.test(str))
+			str = "\"" + str.replace(/"/g, "\"\"") + "\"";
+		return str;
+	};
+
+	return [keys.join(",")].concat(rows.map(row => keys.map(key => escape(row[key])).join(","))).join("\n") + "\n";
+}
+
+/**
+ * Serialize the rows of a list command to the given output format.
+ *
+ * @param {Array<Object>} rows
+ * @param {String} format
+ * @returns {String}
+ */
+function formatRows(rows, format) {
+	switch(format) {
+	case "json": return JSON.stringify(rows, null, 4);
+	case "csv": return toCSV(rows);
+	case "yaml": return yaml.safeDump(rows, { skipInvalid: true });
+	}
+	throw new Error(`Unknown output format '${format}'`);
+}
+
+/**
+ * Vorpal validator for the `--format` option of list commands.
+ *
+ * @param {Object} args
+ * @returns {Boolean|String}
+ */
+function validateFormat(args) {
+	if (args.options.format != null && OUTPUT_FORMATS.indexOf(args.options.format) === -1)
+		return kleur.red().bold(`Invalid output format '${args.options.format}'. Available formats: ${OUTPUT_FORMATS.join(", ")}`);
+	return true;
+}
+
+/**
+ * Print the output of a list command or save it to a file without colors.
+ *
+ * @param {String} str
+ * @param {String?} out
+ */
+function printOutput(str, out) {
+	if (out) {
+		const fName = path.resolve(out);
+		fs.writeFileSync(fName, stripAnsi(str), "utf8");
+		console.log(kleur.magenta().bold(`>> Output has been saved to '${fName}' file.`));
+	} else {
+		console.log(str);
+	}
+}
+
+/**
+ * Print a section header of the detail commands (e.g. `info`, `service`).
+ *
+ * @param {String} name
+ */
+function printHeader(name) {
+	const title = "  " + name + "  ";
+	const lines = "=".repeat(title.length);
+	console.log(kleur.yellow().bold(lines));
+	console.log(kleur.yellow().bold(title));
+	console.log(kleur.yellow().bold(lines));
+	console.log("");
+}
+
+/**
+ * Print a `caption: value` row of the detail commands.
+ *
+ * @param {String} caption
+ * @param {any?} value
+ */
+function print(caption, value) {
+	console.log("   ", _.padEnd(caption, 25) + (value != null ? ": " + kleur.bold(value) : ""));
+}
+
 module.exports = {
 	formatNumber(value, decimals = 0, sign = false) {
 		let res = Number(value.toFixed(decimals)).toLocaleString();
@@ -96,6 +202,14 @@ module.exports = {
 
 	convertArgs,
 	match,
+	stripAnsi,
+	formatRows,
+	validateFormat,
+	printOutput,
+	printHeader,
+	print,
+
+	OUTPUT_FORMATS,
 
 	CIRCUIT_CLOSE: "close",
 	CIRCUIT_HALF_OPEN: "half_open",
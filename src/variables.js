@@ -0,0 +1,178 @@
+/*
+ * moleculer-repl
+ * Copyright (c) 2018 MoleculerJS (https://github.com/moleculerjs/moleculer-repl)
+ * MIT Licensed
+ */
+
+"use strict";
+
+const _ 				= require("lodash");
+const output 			= require("./output");
+
+// `\{{ ... }}` is an escaped, literal template
+const TEMPLATE_RE = /(\\)?{{\s*([^}]+?)\s*}}/g;
+const FULL_TEMPLATE_RE = /^{{\s*([^}]+?)\s*}}$/;
+const NAME_RE = /^[a-zA-Z_]\w*$/;
+
+// Returned by the evaluators if a template can't be resolved, so it's kept as it is
+const UNRESOLVED = Symbol("unresolved");
+
+// Variables of the local console. The `$last` contains the response of the last call.
+const localVariables = {};
+
+// Variables of the remote sessions by session output
+const sessionVariables = new WeakMap();
+
+/**
+ * Get the variables of the current session.
+ *
+ * @returns {Object}
+ */
+function getVariables() {
+	const session = output.current();
+	if (!session)
+		return localVariables;
+
+	if (!sessionVariables.has(session))
+		sessionVariables.set(session, {});
+	return sessionVariables.get(session);
+}
+
+/**
+ * Check the name of a user variable. The names starting with `$` are reserved.
+ *
+ * @param {String} name
+ * @returns {Boolean}
+ */
+function isValidName(name) {
+	return NAME_RE.test(name);
+}
+
+/**
+ * Check whether the root variable of an expression is defined.
+ *
+ * @param {String} expr E.g.: `$last.items[0].id`
+ * @returns {Boolean}
+ */
+function hasVariable(expr) {
+	return _.has(getVariables(), expr.split(/[.[]/)[0]);
+}
+
+/**
+ * Get the value of a variable expression.
+ *
+ * @param {String} expr E.g.: `$last.items[0].id`
+ * @returns {any}
+ */
+function resolve(expr) {
+	if (!hasVariable(expr))
+		throw new Error(`Variable '${expr.split(/[.[]/)[0]}' is not defined.`);
+
+	return _.get(getVariables(), expr);
+}
+
+function lookup(expr) {
+	return hasVariable(expr) ? _.get(getVariables(), expr) : UNRESOLVED;
+}
+
+/**
+ * Replace the `{{ expr }}` templates in strings, arrays & plain objects. If a string
+ * contains only one template, the value keeps its type (e.g. number or object).
+ * The unknown variables are not replaced, so the values can contain literal templates.
+ *
+ * @param {any} value
+ * @param {Function?} evaluate Evaluates an expression or returns `UNRESOLVED` (default: looks up a variable)
+ * @returns {any}
+ */
+function interpolate(value, evaluate = lookup) {
+	if (_.isString(value)) {
+		const m = value.match(FULL_TEMPLATE_RE);
+		if (m) {
+			const res = evaluate(m[1]);
+			return res !== UNRESOLVED ? res : value;
+		}
+
+		return value.replace(TEMPLATE_RE, (s, escaped, expr) => {
+			if (escaped)
+				return s.substring(1);
+
+			const res = evaluate(expr);
+			if (res === UNRESOLVED)
+				return s;
+			return _.isObject(res) ? JSON.stringify(res) : String(res);
+		});
+	}
+
+	if (Array.isArray(value))
+		return value.map(item => interpolate(item, evaluate));
+
+	if (_.isPlainObject(value))
+		return _.mapValues(value, item => interpolate(item, evaluate));
+
+	return value;
+}
+
+/**
+ * Parse a JSON command argument and interpolate the templates. The templates can be
+ * used as JSON values as well, e.g. `{"id": {{ $last.id }}}`.
+ *
+ * @param {any} str
+ * @returns {any}
+ */
+function parseJSON(str) {
+	if (!_.isString(str))
+		return interpolate(str);
+
+	let parsed;
+	try {
+		parsed = JSON.parse(str);
+	} catch(err) {
+		if (str.indexOf("{{") === -1)
+			throw err;
+
+		const unresolved = [];
+		const replaced = str.replace(TEMPLATE_RE, (s, escaped, expr) => {
+			// The escaped & unknown templates are handled by the `interpolate`
+			if (escaped)
+				return s;
+
+			const res = lookup(expr);
+			if (res === UNRESOLVED) {
+				unresolved.push(expr);
+				return s;
+			}
+			return res !== undefined ? JSON.stringify(res) : "null";
+		});
+
+		try {
+			parsed = JSON.parse(replaced);
+		} catch(err) {
+			// Probably an unknown template as a JSON value
+			if (unresolved.length > 0)
+				throw new Error(`Variable '${unresolved[0].split(/[.[]/)[0]}' is not defined.`);
+			throw err;
+		}
+	}
+
+	return interpolate(parsed);
+}
+
+function setVariable(name, value) {
+	getVariables()[name] = value;
+}
+
+function setLastResponse(value) {
+	getVariables().$last = value;
+}
+
+module.exports = {
+	UNRESOLVED,
+	isValidName,
+	hasVariable,
+	resolve,
+	interpolate,
+	parseJSON,
+	setVariable,
+	setLastResponse,
+	getVariables
+};
@@ -0,0 +1,135 @@
+/*
+ * moleculer-repl
+ * Copyright (c) 2018 MoleculerJS (https://github.com/moleculerjs/moleculer-repl)
+ * MIT Licensed
+ */
+
+"use strict";
+
+const readline 			= require("readline");
+const { stripAnsi } 	= require("./utils");
+const output 			= require("./output");
+
+/**
+ * Count the printed terminal lines of a text (including the wrapped lines).
+ *
+ * @param {String} str
+ * @param {Stream} stream
+ * @returns {Number}
+ */
+function countLines(str, stream) {
+	const columns = stream.columns || 80;
+	return str.split("\n").reduce((a, line) => a + Math.max(Math.ceil(stripAnsi(line).length / columns), 1), 0);
+}
+
+/**
+ * Call the handler when the user presses `q`, `Esc` or `Ctrl+C`.
+ * The prompt is closed while a command is running, so the keys are read in raw mode.
+ * In a remote session the keys are sent by the client (see `remote.js`).
+ *
+ * @param {Function} handler
+ * @returns {Function} Function to stop listening
+ */
+function onStopKey(handler) {
+	const listener = (ch, key) => {
+		if (key && (key.name == "q" || key.name == "escape" || (key.ctrl && key.name == "c")))
+			handler(key);
+	};
+
+	const session = output.current();
+	if (session) {
+		session.keys.on("keypress", listener);
+		return () => session.keys.removeListener("keypress", listener);
+	}
+
+	const stdin = process.stdin;
+	readline.emitKeypressEvents(stdin);
+	if (stdin.isTTY)
+		stdin.setRawMode(true);
+	stdin.on("keypress", listener);
+	stdin.resume();
+
+	return () => {
+		stdin.removeListener("keypress", listener);
+		if (stdin.isTTY)
+			stdin.setRawMode(false);
+		stdin.pause();
+	};
+}
+
+/**
+ * Create a live view which re-renders the output in place periodically
+ * until the user presses `q`.
+ *
+ * @param {Object} opts
+ * @param {Number} opts.interval Refresh interval in seconds
+ * @param {Function} opts.render Returns the output
+ * @param {Function} opts.onStop Called when the user stops the view
+ * @returns {Object} `{ refresh, log, stop }`
+ */
+function createLiveView(opts) {
+	const stream = output.getStream();
+	let printedLines = 0;
+	let stopped = false;
+
+	const clear = () => {
+		if (printedLines > 0) {
+			readline.moveCursor(stream, 0, -printedLines);
+			readline.clearScreenDown(stream);
+			printedLines = 0;
+		}
+	};
+
+	const refresh = () => {
+		if (stopped) return;
+
+		let text = opts.render();
+		if (!text.endsWith("\n"))
+			text += "\n";
+
+		clear();
+		stream.write(text);
+		printedLines = countLines(text, stream) - 1;
+	};
+
+	const timer = setInterval(refresh, opts.interval * 1000);
+	const removeKeyListener = onStopKey(() => {
+		// It may have been stopped by the cancel handler of Vorpal
+		if (!stopped) {
+			stop();
+			opts.onStop();
+		}
+	});
+
+	function stop() {
+		if (stopped) return;
+		stopped = true;
+		clearInterval(timer);
+		removeKeyListener();
+	}
+
+	refresh();
+
+	return {
+		refresh,
+
+		/**
+		 * Print a permanent line above the live output.
+		 *
+		 * @param {String} line
+		 */
+		log(line) {
+			if (stopped) return;
+			clear();
+			stream.write(line + "\n");
+			refresh();
+		},
+
+		stop
+	};
+}
+
+module.exports = {
+	onStopKey,
+	createLiveView
+};
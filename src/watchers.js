@@ -0,0 +1,43 @@
+/*
+ * moleculer-repl
+ * Copyright (c) 2018 MoleculerJS (https://github.com/moleculerjs/moleculer-repl)
+ * MIT Licensed
+ */
+
+"use strict";
+
+// Watched service files (filename -> item)
+const watched = new Map();
+
+/**
+ * Close the file watchers of a watched item and remove it.
+ *
+ * @param {Object} item
+ */
+function unwatch(item) {
+	item.watchers.forEach(watcher => watcher.close());
+	item.watchers = [];
+	clearTimeout(item.timer);
+	watched.delete(item.filename);
+}
+
+/**
+ * Stop watching the file of a service (e.g. it has been destroyed).
+ *
+ * @param {Service} service
+ * @returns {Boolean} `true` if the service has been watched
+ */
+function unwatchService(service) {
+	const item = watched.get(service.__filename);
+	if (!item || item.service !== service)
+		return false;
+
+	unwatch(item);
+	return true;
+}
+
+module.exports = {
+	watched,
+	unwatch,
+	unwatchService
+};
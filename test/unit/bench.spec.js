@@ -0,0 +1,174 @@
+"use strict";
+
+const _ = require("lodash");
+const { createStats, calculateResult, getHistogramLabels, parseThresholds, validateOptions, compareResult } = require("../../src/commands/bench");
+const { stripAnsi } = require("../../src/utils");
+
+describe("Test bench", () => {
+	describe("Test createStats", () => {
+		it("should count the requests & errors by type", () => {
+			const stats = createStats();
+			stats.add(5);
+			stats.add(3, { name: "RequestTimeoutError" });
+			stats.add(4, { type: "SERVICE_NOT_FOUND" });
+			stats.add(2, { name: "RequestTimeoutError" });
+
+			expect(stats.count).toBe(4);
+			expect(stats.latencies).toEqual([5, 3, 4, 2]);
+			expect(stats.errorCount).toBe(3);
+			expect(stats.errors).toEqual({ RequestTimeoutError: 2, SERVICE_NOT_FOUND: 1 });
+		});
+	});
+
+	describe("Test calculateResult", () => {
+		it("should calculate the rate, latencies & percentiles", () => {
+			const stats = createStats();
+			[7, 3, 10, 1, 5, 2, 9, 4, 8, 6].forEach(duration => stats.add(duration));
+
+			const res = calculateResult(stats, 2000);
+			expect(res.count).toBe(10);
+			expect(res.rps).toBe(5);
+			expect(res.latency).toEqual({
+				avg: 5.5,
+				min: 1,
+				max: 10,
+				percentiles: { p50: 5, p90: 9, p95: 10, p99: 10 }
+			});
+		});
+
+		it("should create a linear histogram", () => {
+			const stats = createStats();
+			[1, 1, 2, 5, 10].forEach(duration => stats.add(duration));
+
+			const { histogram } = calculateResult(stats, 1000);
+			expect(histogram.length).toBe(10);
+			expect(histogram[0].from).toBe(1);
+			expect(histogram[9].le).toBeCloseTo(10);
+			expect(histogram.map(bucket => bucket.count)).toEqual([2, 1, 0, 0, 1, 0, 0, 0, 0, 1]);
+		});
+
+		it("should put the equal latencies into the first bucket", () => {
+			const stats = createStats();
+			[5, 5, 5].forEach(duration => stats.add(duration));
+
+			const { histogram } = calculateResult(stats, 1000);
+			expect(histogram[0]).toEqual({ from: 5, le: 6, count: 3 });
+		});
+
+		it("should return empty result without requests", () => {
+			const res = calculateResult(createStats(), 0);
+			expect(res.rps).toBe(0);
+			expect(res.latency).toEqual({
+				avg: 0,
+				min: 0,
+				max: 0,
+				percentiles: { p50: 0, p90: 0, p95: 0, p99: 0 }
+			});
+			expect(res.histogram).toEqual([]);
+		});
+	});
+
+	describe("Test getHistogramLabels", () => {
+		const getLabels = latencies => {
+			const stats = createStats();
+			latencies.forEach(duration => stats.add(duration));
+			return getHistogramLabels(calculateResult(stats, 1000).histogram);
+		};
+
+		it("should print the integer bounds without decimals", () => {
+			expect(getLabels([0, 100])).toEqual([
+				"0 - 10ms", "10 - 20ms", "20 - 30ms", "30 - 40ms", "40 - 50ms",
+				"50 - 60ms", "60 - 70ms", "70 - 80ms", "80 - 90ms", "90 - 100ms"
+			]);
+		});
+
+		it("should print as many decimals as the bucket size requires", () => {
+			const labels = getLabels([1, 10]);
+			expect(labels[0]).toBe("1.0 - 1.9ms");
+			expect(labels[9]).toBe("9.1 - 10.0ms");
+
+			expect(getLabels([0, 0.05])[1]).toBe("0.005 - 0.010ms");
+		});
+
+		it("should create different labels", () => {
+			const labels = getLabels([0.5, 0.52]);
+			expect(new Set(labels).size).toBe(labels.length);
+		});
+	});
+
+	describe("Test parseThresholds", () => {
+		it("should parse the thresholds", () => {
+			expect(parseThresholds("p99:20, rps:10,")).toEqual({ p99: 20, rps: 10 });
+			expect(parseThresholds("avg:x")).toEqual({ avg: NaN });
+		});
+	});
+
+	describe("Test validateOptions", () => {
+		const validate = options => {
+			const res = validateOptions({ action: "math.add", options });
+			return res === true ? res : stripAnsi(res);
+		};
+
+		it("should accept the valid options", () => {
+			expect(validate({})).toBe(true);
+			expect(validate({ compare: __filename, threshold: "p99:20,errors:1" })).toBe(true);
+		});
+
+		it("should require an action or scenario", () => {
+			expect(stripAnsi(validateOptions({ options: {} }))).toBe("Missing action name or --scenario option.");
+			expect(validateOptions({ options: { scenario: "s.json" } })).toBe(true);
+		});
+
+		it("should reject the invalid thresholds", () => {
+			expect(validate({ compare: __filename, threshold: true })).toBe("Missing thresholds. E.g.: --threshold p99:20,rps:10");
+			expect(validate({ compare: __filename, threshold: "p42:10" })).toMatch("Invalid threshold 'p42'.");
+			expect(validate({ compare: __filename, threshold: "rps:x" })).toMatch("Invalid threshold 'rps'.");
+		});
+
+		it("should reject --threshold without --compare", () => {
+			expect(validate({ threshold: "p99:20" })).toBe("The --threshold option can be used only with --compare.");
+		});
+
+		it("should reject a missing baseline file", () => {
+			expect(validate({ compare: "missing-baseline.json" })).toMatch("Baseline file not found:");
+		});
+	});
+
+	describe("Test compareResult", () => {
+		const createResult = (rps, p99, errorCount) => ({
+			rps,
+			count: 100,
+			errorCount,
+			latency: { avg: 10, min: 1, max: 50, percentiles: { p50: 10, p90: 20, p95: 30, p99 } }
+		});
+
+		const compare = (baseline, result, thresholds) => _.keyBy(compareResult(baseline, result, thresholds), item => item.metric.key);
+
+		it("should calculate the deltas & regressions", () => {
+			const items = compare(createResult(1000, 40, 0), createResult(800, 50, 2), {});
+
+			expect(items.rps.delta).toBe(-20);
+			expect(items.rps.regression).toBe(20);
+			expect(items.p99.delta).toBe(25);
+			expect(items.p99.regression).toBe(25);
+			expect(items.avg.delta).toBe(0);
+			// The error rate is compared in percentage points
+			expect(items.errors.delta).toBe(2);
+		});
+
+		it("should mark the regressions above the thresholds", () => {
+			const items = compare(createResult(1000, 40, 0), createResult(850, 50, 1), { rps: 20, p99: 20, errors: 1 });
+
+			expect(items.rps.exceeded).toBe(false);
+			expect(items.p99.exceeded).toBe(true);
+			expect(items.errors.exceeded).toBe(false);
+			expect(items.avg.exceeded).toBe(false);
+		});
+
+		it("should handle the zero baseline values", () => {
+			const baseline = createResult(1000, 0, 0);
+			expect(compare(baseline, createResult(1000, 5, 0), {}).p99.delta).toBe(Infinity);
+			expect(compare(baseline, createResult(1000, 0, 0), {}).p99.delta).toBe(0);
+		});
+	});
+});
@@ -0,0 +1,138 @@
+"use strict";
+
+const { Readable } = require("stream");
+const { ServiceBroker } = require("moleculer");
+const { getCacheKeys, getCacheEntry } = require("../../src/commands/cache");
+
+describe("Test cache", () => {
+	describe("Test memory cachers", () => {
+		const broker = new ServiceBroker({ logger: false, cacher: "Memory" });
+		const lruBroker = new ServiceBroker({ logger: false, cacher: "MemoryLRU" });
+
+		beforeAll(() => Promise.all([broker.start(), lruBroker.start()]));
+		afterAll(() => Promise.all([broker.stop(), lruBroker.stop()]));
+
+		it("should list the keys of the memory cacher without the expired ones", () => {
+			const cacher = broker.cacher;
+			return Promise.all([
+				cacher.set("posts.find:1", { id: 1 }),
+				cacher.set("posts.find:2", { id: 2 }, 60),
+				cacher.set("posts.find:3", { id: 3 }, 60)
+			]).then(() => {
+				cacher.cache.get("posts.find:3").expire = Date.now() - 1000;
+				return getCacheKeys(cacher);
+			}).then(keys => {
+				expect(keys.map(item => item.key)).toEqual(["posts.find:1", "posts.find:2"]);
+				expect(keys[0].expire).toBeNull();
+				expect(keys[1].expire).toBeGreaterThan(Date.now());
+			});
+		});
+
+		it("should get the entries of the memory cacher with TTL", () => {
+			const cacher = broker.cacher;
+			return Promise.all([
+				getCacheEntry(cacher, "posts.find:1"),
+				getCacheEntry(cacher, "posts.find:2"),
+				getCacheEntry(cacher, "posts.find:3"),
+				getCacheEntry(cacher, "missing")
+			]).then(([noExpire, withTTL, expired, missing]) => {
+				expect(noExpire).toEqual({ data: { id: 1 }, ttl: null });
+				expect(withTTL.data).toEqual({ id: 2 });
+				expect(withTTL.ttl).toBeGreaterThan(59);
+				expect(expired).toEqual({ data: null });
+				expect(missing).toEqual({ data: null });
+			});
+		});
+
+		it("should list & get the entries of the LRU cacher", () => {
+			const cacher = lruBroker.cacher;
+			return cacher.set("users.get:1", { id: 1 })
+				.then(() => getCacheKeys(cacher))
+				.then(keys => {
+					expect(keys).toEqual([{ key: "users.get:1" }]);
+					return Promise.all([getCacheEntry(cacher, "users.get:1"), getCacheEntry(cacher, "missing")]);
+				})
+				.then(([entry, missing]) => {
+					expect(entry).toEqual({ data: { id: 1 } });
+					expect(missing).toEqual({ data: null });
+				});
+		});
+	});
+
+	describe("Test Redis cacher", () => {
+		// Test double of the built-in cacher with an ioredis-like client
+		class RedisCacher {
+			constructor(client) {
+				this.prefix = "MOL-";
+				this.client = client;
+			}
+
+			getWithTTL(key) {
+				return Promise.resolve({ data: { key }, ttl: key == "a" ? -1 : 30 });
+			}
+		}
+
+		const createNode = pages => ({
+			scanStream: jest.fn(() => {
+				const queue = pages.slice();
+				return new Readable({
+					objectMode: true,
+					read() {
+						this.push(queue.length > 0 ? queue.shift() : null);
+					}
+				});
+			})
+		});
+
+		it("should scan the keys without the prefix", () => {
+			const client = createNode([["MOL-a", "MOL-b"], [], ["MOL-c"]]);
+
+			return getCacheKeys(new RedisCacher(client)).then(keys => {
+				expect(keys).toEqual([{ key: "a" }, { key: "b" }, { key: "c" }]);
+				expect(client.scanStream).toHaveBeenCalledWith({ match: "MOL-*", count: 100 });
+			});
+		});
+
+		it("should scan the master nodes of a cluster", () => {
+			const masters = [createNode([["MOL-a"]]), createNode([["MOL-b", "MOL-a"]])];
+			const client = { nodes: jest.fn(() => masters) };
+
+			return getCacheKeys(new RedisCacher(client)).then(keys => {
+				expect(keys).toEqual([{ key: "a" }, { key: "b" }]);
+				expect(client.nodes).toHaveBeenCalledWith("master");
+			});
+		});
+
+		it("should get the entries with TTL", () => {
+			const cacher = new RedisCacher(createNode([]));
+			return Promise.all([getCacheEntry(cacher, "a"), getCacheEntry(cacher, "b")]).then(([a, b]) => {
+				expect(a).toEqual({ data: { key: "a" }, ttl: null });
+				expect(b).toEqual({ data: { key: "b" }, ttl: 30 });
+			});
+		});
+	});
+
+	describe("Test custom cachers", () => {
+		it("should use the getCacheKeys method", () => {
+			const cacher = { getCacheKeys: () => Promise.resolve(["a", { key: "b", expiresAt: 1000 }]) };
+
+			return getCacheKeys(cacher).then(keys => {
+				expect(keys).toEqual([{ key: "a" }, { key: "b", expire: 1000 }]);
+			});
+		});
+
+		it("should not read the internals of the unknown cachers", () => {
+			const cacher = { cache: new Map([["a", { data: 1 }]]), get: jest.fn(() => Promise.resolve(5)) };
+
+			return getCacheKeys(cacher).then(() => {
+				throw new Error("Should be rejected");
+			}, err => {
+				expect(err.message).toBe("The cacher doesn't support listing keys.");
+				return getCacheEntry(cacher, "a");
+			}).then(entry => {
+				expect(entry).toEqual({ data: 5 });
+				expect(cacher.get).toHaveBeenCalledWith("a");
+			});
+		});
+	});
+});
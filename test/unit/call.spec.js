@@ -0,0 +1,71 @@
+"use strict";
+
+const { ServiceBroker } = require("moleculer");
+const { getCallingOptions } = require("../../src/commands/call");
+
+describe("Test getCallingOptions", () => {
+	const broker = new ServiceBroker({ nodeID: "node-1", logger: false, tracing: { enabled: true, exporter: [] } });
+	let lastCtx;
+
+	broker.createService({
+		name: "math",
+		actions: {
+			add(ctx) {
+				lastCtx = ctx;
+				return ctx.params.a + ctx.params.b;
+			},
+			fail() {
+				throw new Error("Failed");
+			}
+		}
+	});
+
+	beforeAll(() => broker.start());
+	afterAll(() => broker.stop());
+
+	it("should convert the options", () => {
+		const opts = getCallingOptions(broker, {
+			nodeID: "node-1",
+			options: { timeout: "500", retries: "2", requestID: 123 }
+		}, { token: "abc" });
+
+		expect(opts).toEqual({ meta: { token: "abc" }, nodeID: "node-1", timeout: 500, retries: 2, requestID: "123" });
+	});
+
+	it("should call with a parent context", () => {
+		const opts = getCallingOptions(broker, { options: { parentID: "parent-1", caller: "api", requestID: "req-1" } }, {});
+
+		return broker.call("math.add", { a: 1, b: 2 }, opts).then(res => {
+			expect(res).toBe(3);
+			expect(lastCtx.parentID).toBe("parent-1");
+			expect(lastCtx.caller).toBe("api");
+			expect(lastCtx.requestID).toBe("req-1");
+			expect(lastCtx.level).toBe(1);
+			expect(lastCtx.tracing).toBe(true);
+		});
+	});
+
+	it("should set the caller without parentID", () => {
+		const opts = getCallingOptions(broker, { options: { caller: "cli" } }, {});
+
+		return broker.call("math.add", { a: 1, b: 2 }, opts).then(() => {
+			expect(lastCtx.parentID).toBe(opts.parentCtx.id);
+			expect(lastCtx.parentID).not.toBe(lastCtx.id);
+			expect(lastCtx.caller).toBe("cli");
+			expect(lastCtx.level).toBe(1);
+		});
+	});
+
+	it("should flag the usage of the fallback response", () => {
+		const opts = getCallingOptions(broker, { options: { fallback: "{\"value\": 0}" } }, {});
+
+		return broker.call("math.fail", {}, opts).then(res => {
+			expect(res).toEqual({ value: 0 });
+			expect(opts.fallbackUsed).toBe(true);
+		});
+	});
+
+	it("should throw error on invalid fallback response", () => {
+		expect(() => getCallingOptions(broker, { options: { fallback: "{value" } }, {})).toThrow(SyntaxError);
+	});
+});
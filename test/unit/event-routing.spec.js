@@ -0,0 +1,145 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ServiceBroker } = require("moleculer");
+const { getEventPayload, sendEvent, printRoutes } = require("../../src/event-routing");
+const { stripAnsi } = require("../../src/utils");
+
+describe("Test event routing", () => {
+	describe("Test getEventPayload", () => {
+		const fName = path.join(os.tmpdir(), `repl-event-${process.pid}.json`);
+
+		beforeAll(() => jest.spyOn(console, "log").mockImplementation(() => {}));
+		afterAll(() => {
+			jest.restoreAllMocks();
+			if (fs.existsSync(fName))
+				fs.unlinkSync(fName);
+		});
+
+		it("should create the payload from the options", () => {
+			expect(getEventPayload({
+				eventName: "user.created",
+				options: { id: 5, name: "John", group: ["users", "mail,audit"], nodeID: "node-1" }
+			})).toEqual({
+				payload: { id: 5, name: "John" },
+				opts: { meta: {}, groups: ["users", "mail", "audit"], nodeID: "node-1" }
+			});
+		});
+
+		it("should parse the JSON payload & meta", () => {
+			expect(getEventPayload({
+				eventName: "user.created",
+				jsonParams: "{\"id\": 5}",
+				meta: "{\"token\": \"abc\"}",
+				options: {}
+			})).toEqual({
+				payload: { id: 5 },
+				opts: { meta: { token: "abc" } }
+			});
+		});
+
+		it("should load the payload from a file", () => {
+			fs.writeFileSync(fName, "{\"id\": 6}", "utf8");
+			expect(getEventPayload({ eventName: "user.created", options: { load: fName } }).payload).toEqual({ id: 6 });
+			expect(() => getEventPayload({ eventName: "user.created", options: { load: fName + ".missing" } })).toThrow("File not found:");
+		});
+	});
+
+	describe("Test sendEvent", () => {
+		const broker1 = new ServiceBroker({ nodeID: "node-1", transporter: "Fake", logger: false });
+		const broker2 = new ServiceBroker({ nodeID: "node-2", transporter: "Fake", logger: false });
+		const received = [];
+
+		const createListener = (broker, name) => broker.createService({
+			name,
+			events: {
+				"user.*"(payload, sender, eventName) {
+					received.push(`${name}@${broker.nodeID}:${eventName}`);
+				}
+			}
+		});
+
+		createListener(broker1, "users");
+		createListener(broker2, "users");
+		createListener(broker2, "mail");
+
+		beforeAll(() => Promise.all([broker1.start(), broker2.start()]).then(() => broker1.Promise.delay(200)));
+		afterAll(() => Promise.all([broker1.stop(), broker2.stop()]));
+		beforeEach(() => received.length = 0);
+
+		const delay = () => broker1.Promise.delay(100);
+
+		it("should emit to one node of every group", () => {
+			const routes = sendEvent(broker1, "emit", "user.created", {}, { meta: {} });
+
+			expect(routes).toEqual([
+				{ name: "user.*", group: "users", nodeIDs: ["node-1", "node-2"], balanced: true },
+				{ name: "user.*", group: "mail", nodeIDs: ["node-2"], balanced: true }
+			]);
+
+			return delay().then(() => {
+				expect(received.length).toBe(2);
+				expect(received).toContain("mail@node-2:user.created");
+			});
+		});
+
+		it("should broadcast to the selected groups", () => {
+			const routes = sendEvent(broker1, "broadcast", "user.created", {}, { meta: {}, groups: ["users"] });
+
+			expect(routes).toEqual([{ name: "user.*", group: "users", nodeIDs: ["node-1", "node-2"] }]);
+			return delay().then(() => {
+				expect(received.sort()).toEqual(["users@node-1:user.created", "users@node-2:user.created"]);
+			});
+		});
+
+		it("should send to the local listeners only", () => {
+			expect(sendEvent(broker1, "broadcastLocal", "user.created", {}, { meta: {} })).toEqual([
+				{ name: "user.*", group: "users", nodeIDs: ["node-1"] }
+			]);
+			expect(sendEvent(broker1, "emit", "user.removed", {}, { meta: {}, nodeID: "node-1" })).toEqual([
+				{ name: "user.*", group: "users", nodeIDs: ["node-1"] }
+			]);
+
+			return delay().then(() => {
+				expect(received).toEqual(["users@node-1:user.created", "users@node-1:user.removed"]);
+			});
+		});
+
+		it("should reject the remote nodes", () => {
+			expect(() => sendEvent(broker1, "emit", "user.created", {}, { meta: {}, nodeID: "node-2" })).toThrow("Only the local 'node-1' node can be targeted.");
+		});
+	});
+
+	describe("Test printRoutes", () => {
+		let output;
+
+		beforeAll(() => jest.spyOn(console, "log").mockImplementation((...args) => output.push(stripAnsi(args.join(" ")))));
+		beforeEach(() => output = []);
+		afterAll(() => jest.restoreAllMocks());
+
+		it("should print the routes", () => {
+			printRoutes("user.created", [
+				{ name: "user.*", group: "users", nodeIDs: ["node-1", "node-2"], balanced: true },
+				{ name: "user.created", group: "mail", nodeIDs: ["node-2"] }
+			]);
+
+			expect(output).toEqual([
+				">> Routed to:",
+				"   users (user.*) → one of node-1, node-2",
+				"   mail → node-2"
+			]);
+		});
+
+		it("should print the missing routes", () => {
+			printRoutes("user.created", []);
+			printRoutes("user.created", null);
+
+			expect(output).toEqual([
+				">> No listeners.",
+				">> The event has been routed by the transporter (balancer is disabled)."
+			]);
+		});
+	});
+});
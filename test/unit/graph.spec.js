@@ -0,0 +1,121 @@
+"use strict";
+
+const { Service } = require("moleculer");
+const { buildGraph, findCycles, toDot, toMermaid } = require("../../src/graph");
+
+describe("Test graph", () => {
+	describe("Test findCycles", () => {
+		it("should not find cycles", () => {
+			expect(findCycles({
+				a: { dependencies: ["b", "c"] },
+				b: { dependencies: ["c"] },
+				c: { dependencies: null },
+				d: { dependencies: ["missing"] }
+			})).toEqual([]);
+		});
+
+		it("should find a self dependency", () => {
+			expect(findCycles({ a: { dependencies: ["a"] } })).toEqual([["a", "a"]]);
+		});
+
+		it("should find every cycle only once", () => {
+			expect(findCycles({
+				a: { dependencies: ["b"] },
+				b: { dependencies: ["c"] },
+				c: { dependencies: ["a", "d"] },
+				d: { dependencies: ["e"] },
+				e: { dependencies: ["d"] }
+			})).toEqual([
+				["a", "b", "c", "a"],
+				["d", "e", "d"]
+			]);
+		});
+
+		it("should start the cycles with the smallest name", () => {
+			expect(findCycles({
+				x: { dependencies: ["m"] },
+				m: { dependencies: ["x"] }
+			})).toEqual([["m", "x", "m"]]);
+		});
+	});
+
+	describe("Test buildGraph", () => {
+		// Local `users` & `posts` services, remote `posts` & `v2.mail` services
+		const broker = {
+			nodeID: "node-1",
+			ServiceFactory: Service,
+			services: [
+				{ fullName: "users", schema: { dependencies: ["posts", "missing"] } },
+				{ fullName: "posts", schema: { dependencies: [{ name: "users" }, { name: "mail", version: 2 }] } }
+			],
+			registry: {
+				getServiceList: () => [
+					{ name: "users", fullName: "users", nodeID: "node-1", actions: { "users.list": {}, "users.get": {} }, events: {} },
+					{ name: "posts", fullName: "posts", nodeID: "node-1", actions: {}, events: { "user.created": { name: "user.created" } } },
+					{ name: "posts", fullName: "posts", nodeID: "node-2", actions: {}, events: {} },
+					{ name: "mail", version: 2, fullName: "v2.mail", nodeID: "node-2", actions: { "v2.mail.send": {} }, events: { "mail.*": { name: "mail.*", group: "mailer" } } }
+				],
+				getNodeInfo: () => ({
+					services: [
+						{ fullName: "posts" },
+						{ fullName: "v2.mail", dependencies: "$node" }
+					]
+				}),
+				hasService: name => name == "$node"
+			}
+		};
+
+		const graph = buildGraph(broker);
+
+		it("should collect the services by nodes", () => {
+			expect(graph.nodes.map(node => [node.id, node.local, node.services.map(svc => svc.fullName)])).toEqual([
+				["node-1", true, ["posts", "users"]],
+				["node-2", false, ["posts", "v2.mail"]]
+			]);
+
+			const [posts, users] = graph.nodes[0].services;
+			expect(users.actions).toEqual(["users.get", "users.list"]);
+			expect(posts.events).toEqual([{ name: "user.created", group: "posts" }]);
+			expect(graph.nodes[1].services[1].events).toEqual([{ name: "mail.*", group: "mailer" }]);
+		});
+
+		it("should resolve the dependencies per node", () => {
+			const [posts1] = graph.nodes[0].services;
+			const [posts2, mail] = graph.nodes[1].services;
+
+			expect(posts1.dependencies).toEqual(["users", "v2.mail"]);
+			expect(posts2.dependencies).toEqual([]);
+			expect(mail.dependencies).toEqual(["$node"]);
+			expect(graph.services.posts.nodes).toEqual(["node-1", "node-2"]);
+			expect(graph.services.posts.dependencies).toEqual(["users", "v2.mail"]);
+		});
+
+		it("should find the missing dependencies & cycles", () => {
+			expect(graph.missing).toEqual([{ service: "users", dependency: "missing" }]);
+			expect(graph.cycles).toEqual([["posts", "users", "posts"]]);
+		});
+
+		it("should export to DOT", () => {
+			const dot = toDot(graph);
+
+			expect(dot).toMatch(/^digraph moleculer {\n/);
+			expect(dot).toContain("\t\"node:node-1\" [label=\"node-1 (local)\", shape=box3d];");
+			expect(dot).toContain("\t\"missing:missing\" [label=\"missing\\n(missing)\", shape=box, style=\"rounded,dashed\", color=red, fontcolor=red];");
+			expect(dot).toContain("\t\"service:node-1:users\" -> \"missing:missing\" [style=dashed, label=\"depends\", color=red];");
+			expect(dot).toContain("\t\"service:node-1:users\" -> \"service:node-2:posts\" [style=dashed, label=\"depends\", color=orange, penwidth=2];");
+			expect(dot).toContain("\t\"service:node-2:v2.mail\" -> \"$node\" [style=dashed, label=\"depends\"];");
+		});
+
+		it("should export to Mermaid", () => {
+			const lines = toMermaid(graph).split("\n");
+
+			expect(lines[0]).toBe("graph LR");
+			expect(lines).toContain("\tn0[[\"node-1 (local)\"]]");
+			expect(lines).toContain("\tm11(\"missing (missing)\"):::missing");
+			expect(lines.filter(line => line.indexOf("-. depends .->") !== -1).length).toBe(6);
+			expect(lines).toContain("\ts3 -. depends .-> m11");
+			expect(lines).toContain("\ts8 -. depends .-> x12(\"$node\")");
+			expect(lines.filter(line => line.startsWith("\tlinkStyle")).length).toBe(4);
+		});
+	});
+});
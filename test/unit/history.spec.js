@@ -0,0 +1,31 @@
+"use strict";
+
+const { findInHistory } = require("../../src/commands/history");
+
+describe("Test findInHistory", () => {
+	const list = ["call greeter.hello", "emit user.created", "call greeter.welcome --name John", "nodes"];
+
+	it("should find the last command", () => {
+		expect(findInHistory(list, "!!")).toBe("nodes");
+		expect(findInHistory([], "!!")).toBeUndefined();
+	});
+
+	it("should find a command by number", () => {
+		expect(findInHistory(list, "!1")).toBe("call greeter.hello");
+		expect(findInHistory(list, "!4")).toBe("nodes");
+		expect(findInHistory(list, "!5")).toBeUndefined();
+		expect(findInHistory(list, "!0")).toBeUndefined();
+	});
+
+	it("should find a command by relative number", () => {
+		expect(findInHistory(list, "!-1")).toBe("nodes");
+		expect(findInHistory(list, "!-3")).toBe("emit user.created");
+		expect(findInHistory(list, "!-5")).toBeUndefined();
+	});
+
+	it("should find the last command by prefix", () => {
+		expect(findInHistory(list, "!call")).toBe("call greeter.welcome --name John");
+		expect(findInHistory(list, "!em")).toBe("emit user.created");
+		expect(findInHistory(list, "!bench")).toBeUndefined();
+	});
+});
@@ -0,0 +1,103 @@
+"use strict";
+
+const kleur = require("kleur");
+const { ServiceBroker } = require("moleculer");
+const { getObjectRows, getNodeInfo, printComparison } = require("../../src/commands/info");
+const { stripAnsi } = require("../../src/utils");
+
+describe("Test info", () => {
+	describe("Test getObjectRows", () => {
+		it("should expand the nested objects on the first level", () => {
+			const rows = getObjectRows({
+				namespace: "dev",
+				retries: 3,
+				metrics: false,
+				registry: { strategy: "Random", deep: { a: 1 } },
+				list: [1, 2],
+				middlewares: ["Foo", { name: "Bar" }]
+			}).map(row => row.map(stripAnsi));
+
+			expect(rows).toEqual([
+				["namespace", "\"dev\""],
+				["retries", "3"],
+				["metrics", "false"],
+				["registry"],
+				["  strategy", "\"Random\""],
+				["list", "[1, 2]"],
+				["middlewares", "\"Foo\", \"Bar\""]
+			]);
+		});
+	});
+
+	describe("Test getNodeInfo", () => {
+		const broker = new ServiceBroker({ nodeID: "node-1", namespace: "test", logger: false, transporter: "Fake" });
+
+		beforeAll(() => broker.start());
+		afterAll(() => broker.stop());
+
+		it("should collect the sections of the node", () => {
+			return getNodeInfo(broker, "node-1").then(sections => {
+				expect(sections.map(section => section.title)).toEqual([
+					"General information",
+					"Broker information",
+					"Transport information",
+					"Transporter settings",
+					"Broker options"
+				]);
+
+				const rows = sections[1].rows.filter(row => row.length > 0).map(([caption, value]) => [caption, stripAnsi(String(value))]);
+				expect(rows).toEqual(expect.arrayContaining([
+					["Namespace", "test"],
+					["Node ID", "node-1"],
+					["Cacher", "<None>"],
+					["Nodes", "1"]
+				]));
+
+				expect(sections[0].rows).toContainEqual(["Protocol version", broker.PROTOCOL_VERSION]);
+				expect(sections[2].rows).toEqual([["Serializer", "JSON"], ["Transporter", "Fake"]]);
+				expect(sections[3].rows).toEqual([["URL", "Fake"]]);
+			});
+		});
+
+		it("should reject the unknown nodes", () => {
+			return expect(getNodeInfo(broker, "node-2")).rejects.toThrow("Node 'node-2' is not found.");
+		});
+	});
+
+	describe("Test printComparison", () => {
+		let output;
+
+		beforeAll(() => jest.spyOn(console, "log").mockImplementation((...args) => output.push(stripAnsi(args.join(" ")))));
+		beforeEach(() => output = []);
+		afterAll(() => jest.restoreAllMocks());
+
+		it("should print the sections side by side", () => {
+			printComparison([
+				{ title: "Broker information", rows: [["Node ID", "node-1"], [], ["Services", 3]] }
+			], [
+				{ title: "Broker information", rows: [["Node ID", "node-2"], ["Services", 3], ["Cacher", "Memory"]] },
+				{ title: "Transport information", rows: [["Transporter", "NATS"]] }
+			], "node-1", "node-2");
+
+			const text = output.join("\n");
+			expect(text).toMatch(/Broker information[\s\S]*Transport information/);
+			expect(text).toMatch(/Node ID\s+│ node-1\s+│ node-2/);
+			expect(text).toMatch(/Services\s+│ 3\s+│ 3/);
+			expect(text).toMatch(/Cacher\s+│\s+│ Memory/);
+			expect(text).toMatch(/Transporter\s+│\s+│ NATS/);
+		});
+
+		it("should highlight the different values", () => {
+			printComparison(
+				[{ title: "A", rows: [["same", "x"], ["diff", "1"]] }],
+				[{ title: "A", rows: [["same", "x"], ["diff", "2"]] }],
+				"node-1", "node-2"
+			);
+
+			const spy = console.log;
+			const table = spy.mock.calls[spy.mock.calls.length - 1][0];
+			expect(table).toContain(kleur.yellow().bold("diff"));
+			expect(table).not.toContain(kleur.yellow().bold("same"));
+		});
+	});
+});
@@ -0,0 +1,165 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { ServiceBroker } = require("moleculer");
+const Vorpal = require("@moleculer/vorpal");
+const registerLoad = require("../../src/commands/load");
+const { getDependencies } = registerLoad;
+const registerDestroy = require("../../src/commands/destroy");
+const { watched, unwatch, unwatchService } = require("../../src/watchers");
+
+describe("Test hot-reload", () => {
+	const dir = path.join(os.tmpdir(), `repl-load-${process.pid}`);
+	const serviceFile = path.join(dir, "greeter.service.js");
+	const helperFile = path.join(dir, "helper.js");
+
+	const writeService = version => {
+		fs.writeFileSync(helperFile, `module.exports = ${version};`, "utf8");
+		fs.writeFileSync(serviceFile, `const version = require("./helper");
+module.exports = { name: "greeter", actions: { version: () => version } };`, "utf8");
+	};
+
+	beforeAll(() => {
+		fs.mkdirSync(dir);
+		writeService(1);
+	});
+
+	afterAll(() => {
+		fs.unlinkSync(serviceFile);
+		fs.unlinkSync(helperFile);
+		fs.rmdirSync(dir);
+	});
+
+	describe("Test getDependencies", () => {
+		// Jest has its own module registry, so the real `require.cache` is checked in a child process
+		const getDeps = files => JSON.parse(execFileSync(process.execPath, ["-e", `
+			const { getDependencies } = require(${JSON.stringify(require.resolve("../../src/commands/load"))});
+			require(${JSON.stringify(serviceFile)});
+			console.log(JSON.stringify(${JSON.stringify(files)}.map(f => getDependencies(f))));
+		`], { encoding: "utf8" }));
+
+		it("should collect the required project files", () => {
+			expect(getDeps([serviceFile, helperFile])).toEqual([[helperFile], []]);
+		});
+
+		it("should return an empty list for the not loaded files", () => {
+			expect(getDeps([path.join(dir, "missing.js")])).toEqual([[]]);
+			expect(getDependencies(serviceFile)).toEqual([]);
+		});
+	});
+
+	describe("Test watchers", () => {
+		const createItem = filename => {
+			const item = { filename, service: { __filename: filename }, watchers: [{ close: jest.fn() }], timer: null };
+			watched.set(filename, item);
+			return item;
+		};
+
+		it("should close the watchers of the item", () => {
+			const item = createItem("a.js");
+			const watcher = item.watchers[0];
+			unwatch(item);
+
+			expect(watcher.close).toHaveBeenCalledTimes(1);
+			expect(item.watchers).toEqual([]);
+			expect(watched.has("a.js")).toBe(false);
+		});
+
+		it("should unwatch only the watched instance of the service", () => {
+			const item = createItem("b.js");
+
+			expect(unwatchService({ __filename: "b.js" })).toBe(false);
+			expect(watched.has("b.js")).toBe(true);
+
+			expect(unwatchService(item.service)).toBe(true);
+			expect(watched.has("b.js")).toBe(false);
+			expect(unwatchService(item.service)).toBe(false);
+		});
+	});
+
+	describe("Test commands", () => {
+		const broker = new ServiceBroker({ logger: false });
+		const vorpal = new Vorpal();
+		vorpal.removeIfExist = function(command) {
+			const cmd = this.find(command);
+			if (cmd)
+				cmd.remove();
+			return this;
+		};
+		registerLoad(vorpal, broker);
+		registerDestroy(vorpal, broker);
+
+		beforeAll(() => {
+			jest.spyOn(console, "log").mockImplementation(() => {});
+			jest.spyOn(console, "error").mockImplementation(() => {});
+			jest.spyOn(vorpal, "log").mockImplementation(() => {});
+			return broker.start();
+		});
+
+		afterAll(() => {
+			Array.from(watched.values()).forEach(unwatch);
+			jest.restoreAllMocks();
+			return broker.stop();
+		});
+
+		it("should load & reload the watched service", () => {
+			let oldService;
+			return vorpal.exec(`load ${serviceFile} --watch`)
+				.then(() => {
+					oldService = broker.getLocalService("greeter");
+					const item = watched.get(serviceFile);
+					expect(item.service).toBe(oldService);
+					expect(item.files[0]).toBe(serviceFile);
+					expect(item.watchers.length).toBe(item.files.length);
+
+					return vorpal.exec("reload greeter");
+				})
+				.then(() => {
+					const item = watched.get(serviceFile);
+					const newService = broker.getLocalService("greeter");
+					expect(newService).not.toBe(oldService);
+					expect(broker.services.indexOf(oldService)).toBe(-1);
+					expect(item.service).toBe(newService);
+					expect(item.reloads).toBe(1);
+					expect(item.lastReload).toBeInstanceOf(Date);
+					return broker.call("greeter.version");
+				})
+				.then(res => expect(res).toBe(1));
+		});
+
+		it("should list the watched services", () => {
+			console.log.mockClear();
+			return vorpal.exec("watched").then(() => {
+				const out = console.log.mock.calls.map(args => args.join(" ")).join("\n");
+				expect(out).toMatch("greeter");
+				expect(out).toMatch(path.relative(process.cwd(), serviceFile));
+			});
+		});
+
+		it("should stop watching the destroyed service", () => {
+			const item = watched.get(serviceFile);
+
+			return vorpal.exec("destroy greeter")
+				.then(() => {
+					expect(console.log).toHaveBeenCalledWith(expect.stringContaining(">> Stop watching"));
+					expect(watched.has(serviceFile)).toBe(false);
+					expect(item.watchers).toEqual([]);
+					return vorpal.exec("watched");
+				})
+				.then(() => {
+					expect(console.log).toHaveBeenCalledWith(expect.stringContaining(">> No watched service files."));
+				});
+		});
+
+		it("should fail on unknown services", () => {
+			return vorpal.exec("reload unknown").then(() => {
+				throw new Error("Should be rejected");
+			}, () => {
+				expect(console.log).toHaveBeenCalledWith(expect.stringContaining("Service \"unknown\" doesn't exists!"));
+			});
+		});
+	});
+});
@@ -0,0 +1,120 @@
+"use strict";
+
+const { ServiceBroker } = require("moleculer");
+const Vorpal = require("@moleculer/vorpal");
+const registerMCall = require("../../src/commands/mcall");
+const { stableStringify, hashResponse, diffValues } = registerMCall;
+
+describe("Test mcall", () => {
+	describe("Test stableStringify & hashResponse", () => {
+		it("should serialize the objects with sorted keys", () => {
+			expect(stableStringify({ b: 1, a: { d: [2, { f: 1, e: 2 }], c: 3 } })).toBe("{\"a\":{\"c\":3,\"d\":[2,{\"e\":2,\"f\":1}]},\"b\":1}");
+			expect(stableStringify([3, 1])).toBe("[3,1]");
+		});
+
+		it("should create the same hash for the equal responses", () => {
+			expect(hashResponse({ a: 1, b: [1, 2] })).toBe(hashResponse({ b: [1, 2], a: 1 }));
+			expect(hashResponse({ a: 1, b: [1, 2] })).not.toBe(hashResponse({ a: 1, b: [2, 1] }));
+			expect(hashResponse({ a: 1 })).toMatch(/^[0-9a-f]{8}$/);
+		});
+
+		it("should hash the undefined & null responses differently", () => {
+			expect(hashResponse(undefined)).not.toBe(hashResponse(null));
+		});
+	});
+
+	describe("Test diffValues", () => {
+		it("should collect the changes of objects", () => {
+			expect(diffValues(
+				{ id: 1, name: "John", user: { age: 30, roles: ["admin"] }, old: true },
+				{ id: 1, name: "Jane", user: { age: 30, roles: ["admin", "user"] }, extra: 5 }
+			)).toEqual([
+				{ type: "changed", path: "name", from: "John", to: "Jane" },
+				{ type: "added", path: "user.roles[1]", to: "user" },
+				{ type: "removed", path: "old", from: true },
+				{ type: "added", path: "extra", to: 5 }
+			]);
+		});
+
+		it("should collect the changes of arrays", () => {
+			expect(diffValues([1, { a: 2 }, 3], [1, { a: 4 }])).toEqual([
+				{ type: "changed", path: "[1].a", from: 2, to: 4 },
+				{ type: "removed", path: "[2]", from: 3 }
+			]);
+		});
+
+		it("should compare the different types as values", () => {
+			expect(diffValues(5, "5")).toEqual([{ type: "changed", path: "<root>", from: 5, to: "5" }]);
+			expect(diffValues({ a: [1] }, { a: { 0: 1 } })).toEqual([{ type: "changed", path: "a", from: [1], to: { 0: 1 } }]);
+			expect(diffValues({ a: new Date(0) }, { a: new Date(0) })).toEqual([]);
+		});
+	});
+
+	describe("Test command", () => {
+		const broker1 = new ServiceBroker({ nodeID: "node-1", transporter: "Fake", logger: false });
+		const broker2 = new ServiceBroker({ nodeID: "node-2", transporter: "Fake", logger: false });
+		const vorpal = new Vorpal();
+		vorpal.removeIfExist = function(command) {
+			const cmd = this.find(command);
+			if (cmd)
+				cmd.remove();
+			return this;
+		};
+		registerMCall(vorpal, broker1);
+
+		broker1.createService({
+			name: "config",
+			actions: {
+				get: ctx => ({ nodeID: "same", version: ctx.params.version }),
+				fail: () => { throw new Error("Failed"); }
+			}
+		});
+		broker2.createService({
+			name: "config",
+			actions: {
+				get: ctx => ({ version: ctx.params.version, nodeID: "same", debug: true }),
+				fail: () => { throw new Error("Failed"); }
+			}
+		});
+
+		beforeAll(() => {
+			jest.spyOn(console, "log").mockImplementation(() => {});
+			return Promise.all([broker1.start(), broker2.start()]).then(() => broker1.Promise.delay(200));
+		});
+		afterAll(() => {
+			jest.restoreAllMocks();
+			return Promise.all([broker1.stop(), broker2.stop()]);
+		});
+
+		beforeEach(() => console.log.mockClear());
+
+		it("should call every node and print the differences", () => {
+			return vorpal.exec("mcall config.get --version 2 --diff").then(() => {
+				const out = console.log.mock.calls.map(args => args.join(" ")).join("\n");
+				expect(out).toMatch("on 2 node(s)");
+				expect(out).toMatch("node-1");
+				expect(out).toMatch("node-2");
+				expect(out).toMatch("The responses are different (2 variants).");
+				expect(out).toMatch("Differences between 'node-1' and 'node-2'");
+				expect(out).toMatch("+ debug:");
+			});
+		});
+
+		it("should fail if every node returns an error", () => {
+			return vorpal.exec("mcall config.fail").then(() => {
+				throw new Error("Should be rejected");
+			}, () => {
+				const out = console.log.mock.calls.map(args => args.join(" ")).join("\n");
+				expect(out).toMatch("ERROR: ");
+			});
+		});
+
+		it("should fail if the action is not available", () => {
+			return vorpal.exec("mcall config.missing").then(() => {
+				throw new Error("Should be rejected");
+			}, () => {
+				expect(console.log).toHaveBeenCalledWith(expect.stringContaining("Action 'config.missing' is not available on any node."));
+			});
+		});
+	});
+});
@@ -0,0 +1,99 @@
+"use strict";
+
+const { exportMetrics, EXPORT_FORMATS } = require("../../src/metrics-export");
+
+describe("Test metrics export", () => {
+	const list = [
+		{
+			name: "moleculer.request.total",
+			type: "counter",
+			description: "Number of requests",
+			values: [
+				{ labels: { action: "posts.find", caller: null }, value: 12 }
+			]
+		},
+		{
+			name: "os.hostname",
+			type: "info",
+			values: [
+				{ labels: {}, value: "my \"host\"" }
+			]
+		},
+		{
+			name: "moleculer.request.time",
+			type: "histogram",
+			unit: "milliseconds",
+			values: [
+				{ labels: { action: "posts.find" }, buckets: { "10": 3, "5": 1 }, quantiles: { "0.5": 4 }, count: 5, sum: 40 }
+			]
+		},
+		{
+			name: "process.memory",
+			type: "gauge",
+			values: [
+				{ labels: {}, value: null }
+			]
+		}
+	];
+
+	const broker = { nodeID: "node-1", namespace: "dev" };
+
+	it("should have the formats", () => {
+		expect(EXPORT_FORMATS).toEqual(["prometheus", "json"]);
+	});
+
+	describe("Test Prometheus format", () => {
+		const lines = exportMetrics(list, "prometheus", broker).split("\n");
+
+		it("should export counters & gauges", () => {
+			expect(lines).toEqual(expect.arrayContaining([
+				"# HELP moleculer_request_total Number of requests",
+				"# TYPE moleculer_request_total counter",
+				"moleculer_request_total{action=\"posts.find\"} 12",
+				"# TYPE process_memory gauge",
+				"process_memory NaN"
+			]));
+		});
+
+		it("should export the info values as labels", () => {
+			expect(lines).toEqual(expect.arrayContaining([
+				"# HELP os_hostname os.hostname",
+				"# TYPE os_hostname gauge",
+				"os_hostname{value=\"my \\\"host\\\"\"} 1"
+			]));
+		});
+
+		it("should export the histograms with buckets & quantiles", () => {
+			expect(lines).toEqual(expect.arrayContaining([
+				"# HELP moleculer_request_time moleculer.request.time (milliseconds)",
+				"# TYPE moleculer_request_time histogram",
+				"# TYPE moleculer_request_time_summary summary",
+				"moleculer_request_time_summary{action=\"posts.find\",quantile=\"0.5\"} 4",
+				"moleculer_request_time_summary_count{action=\"posts.find\"} 5"
+			]));
+
+			const buckets = lines.filter(line => line.startsWith("moleculer_request_time_bucket"));
+			expect(buckets).toEqual([
+				"moleculer_request_time_bucket{action=\"posts.find\",le=\"5\"} 1",
+				"moleculer_request_time_bucket{action=\"posts.find\",le=\"10\"} 3",
+				"moleculer_request_time_bucket{action=\"posts.find\",le=\"+Inf\"} 5"
+			]);
+		});
+
+		it("should sort the metrics by name", () => {
+			const names = lines.filter(line => line.startsWith("# TYPE")).map(line => line.split(" ")[2]);
+			expect(names).toEqual(["moleculer_request_time", "moleculer_request_time_summary", "moleculer_request_total", "os_hostname", "process_memory"]);
+		});
+	});
+
+	describe("Test JSON format", () => {
+		it("should export the sorted list with the node info", () => {
+			const res = JSON.parse(exportMetrics(list, "json", broker));
+
+			expect(res.nodeID).toBe("node-1");
+			expect(res.namespace).toBe("dev");
+			expect(typeof res.timestamp).toBe("string");
+			expect(res.metrics.map(metric => metric.name)).toEqual(["moleculer.request.time", "moleculer.request.total", "os.hostname", "process.memory"]);
+		});
+	});
+});
@@ -0,0 +1,59 @@
+"use strict";
+
+const { sparkline, updateWatchState } = require("../../src/commands/metrics");
+
+describe("Test metrics watch", () => {
+	describe("Test sparkline", () => {
+		it("should scale the values between the min & max", () => {
+			expect(sparkline([1, 2, 3, null, 8])).toBe("▁▂▃ █");
+			expect(sparkline([5, 5, 5])).toBe("▁▁▁");
+		});
+
+		it("should return empty string without values", () => {
+			expect(sparkline([])).toBe("");
+			expect(sparkline([null, null])).toBe("");
+		});
+	});
+
+	describe("Test updateWatchState", () => {
+		it("should calculate the rate of counters", () => {
+			const state = new Map();
+			const metric = { name: "requests", type: "counter" };
+
+			expect(updateWatchState(state, metric, { labels: {}, value: 10 }, 1000)).toEqual({ rate: null, trend: "" });
+			expect(updateWatchState(state, metric, { labels: {}, value: 30 }, 3000)).toEqual({ rate: 10, trend: "▁" });
+			expect(updateWatchState(state, metric, { labels: {}, value: 30 }, 4000)).toEqual({ rate: 0, trend: "█▁" });
+		});
+
+		it("should keep the state per labels", () => {
+			const state = new Map();
+			const metric = { name: "requests", type: "counter" };
+
+			updateWatchState(state, metric, { labels: { action: "a" }, value: 10 }, 1000);
+			expect(updateWatchState(state, metric, { labels: { action: "b" }, value: 50 }, 2000).rate).toBeNull();
+			expect(updateWatchState(state, metric, { labels: { action: "a" }, value: 20 }, 2000).rate).toBe(10);
+		});
+
+		it("should use the count of histograms for the rate & the mean for the trend", () => {
+			const state = new Map();
+			const metric = { name: "latency", type: "histogram" };
+
+			expect(updateWatchState(state, metric, { labels: {}, count: 5, mean: 10 }, 1000)).toEqual({ rate: null, trend: "▁" });
+			expect(updateWatchState(state, metric, { labels: {}, count: 10, mean: 20 }, 2000)).toEqual({ rate: 5, trend: "▁█" });
+		});
+
+		it("should keep the last values of gauges", () => {
+			const state = new Map();
+			const metric = { name: "memory", type: "gauge" };
+
+			let res;
+			for (let i = 0; i < 25; i++)
+				res = updateWatchState(state, metric, { labels: {}, value: i }, i * 1000);
+
+			expect(res.rate).toBeNull();
+			expect(res.trend.length).toBe(20);
+			expect(res.trend[0]).toBe("▁");
+			expect(res.trend[19]).toBe("█");
+		});
+	});
+});
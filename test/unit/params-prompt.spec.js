@@ -0,0 +1,84 @@
+"use strict";
+
+const { normalizeRule, promptParams } = require("../../src/params-prompt");
+const { stripAnsi } = require("../../src/utils");
+
+describe("Test params prompt", () => {
+	describe("Test normalizeRule", () => {
+		it("should convert the shorthand rules", () => {
+			expect(normalizeRule("string|optional|min:3")).toEqual({ type: "string", optional: true, min: "3" });
+			expect(normalizeRule("boolean|convert:false")).toEqual({ type: "boolean", convert: false });
+			expect(normalizeRule(["number", "string"])).toEqual({ type: "number" });
+		});
+
+		it("should keep the object rules", () => {
+			expect(normalizeRule({ type: "number", positive: true })).toEqual({ type: "number", positive: true });
+			expect(normalizeRule({ optional: true })).toEqual({ type: "any", optional: true });
+			expect(normalizeRule(null)).toEqual({ type: "any" });
+		});
+	});
+
+	describe("Test promptParams", () => {
+		const createCommand = answers => {
+			const questions = [];
+			return {
+				questions,
+				prompt(question) {
+					questions.push(question);
+					const name = stripAnsi(question.message).split(" ")[0];
+					return Promise.resolve({ value: answers[name] });
+				}
+			};
+		};
+
+		it("should prompt the fields & convert the answers", () => {
+			const cmd = createCommand({
+				name: "John",
+				age: "42",
+				active: true,
+				tags: "[\"a\", \"b\"]",
+				role: "<skip>",
+				note: ""
+			});
+
+			return promptParams(cmd, {
+				$$strict: true,
+				name: "string",
+				age: { type: "number", positive: true },
+				active: "boolean",
+				tags: { type: "array", items: "string" },
+				role: { type: "enum", values: ["admin", "user"], optional: true },
+				note: { type: "string", optional: true }
+			}).then(res => {
+				expect(res).toEqual({ name: "John", age: 42, active: true, tags: ["a", "b"] });
+				expect(cmd.questions.map(q => q.type)).toEqual(["input", "input", "list", "input", "list", "input"]);
+				expect(cmd.questions[4].choices.map(choice => stripAnsi(choice.name))).toEqual(["<skip>", "admin", "user"]);
+				expect(stripAnsi(cmd.questions[4].message)).toBe("role (enum, optional, values: admin, user):");
+			});
+		});
+
+		it("should prompt the nested objects", () => {
+			const cmd = createCommand({ "address.city": "Paris", "address.zip": "", "extra.note": "" });
+
+			return promptParams(cmd, {
+				address: { type: "object", props: { city: "string", zip: "string|optional" } },
+				extra: { type: "object", optional: true, props: { note: "string|optional" } }
+			}).then(res => {
+				expect(res).toEqual({ address: { city: "Paris" } });
+			});
+		});
+
+		it("should validate the inputs", () => {
+			const cmd = createCommand({ id: "5", limit: "" });
+
+			return promptParams(cmd, { id: "number", limit: { type: "number", default: 10 } }).then(() => {
+				const [id, limit] = cmd.questions;
+				expect(id.validate("")).toBe("This field is required.");
+				expect(id.validate("abc")).toBe("It must be a number.");
+				expect(id.validate("5")).toBe(true);
+				expect(limit.validate("")).toBe(true);
+				expect(stripAnsi(limit.message)).toBe("limit (number, default: 10):");
+			});
+		});
+	});
+});
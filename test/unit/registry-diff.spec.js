@@ -0,0 +1,86 @@
+"use strict";
+
+const { ServiceBroker } = require("moleculer");
+const registryDiff = require("../../src/registry-diff");
+
+describe("Test registry diff", () => {
+	const broker = new ServiceBroker({ nodeID: "node-1", logger: false });
+
+	broker.createService({
+		name: "math",
+		actions: {
+			add() {}
+		}
+	});
+
+	beforeAll(() => broker.start());
+	afterAll(() => broker.stop());
+
+	describe("Test getRegistrySnapshot", () => {
+		it("should extend the raw info with the node ID & availability", () => {
+			const list = registryDiff.getRegistrySnapshot(broker);
+
+			expect(list.length).toBe(1);
+			expect(list[0].id).toBe("node-1");
+			expect(list[0].available).toBe(true);
+			expect(list[0].instanceID).toBe(broker.registry.nodes.localNode.rawInfo.instanceID);
+			expect(list[0].services.map(svc => svc.name)).toEqual(expect.arrayContaining(["$node", "math"]));
+		});
+	});
+
+	describe("Test resolveNodeIDs", () => {
+		it("should resolve the local node by instanceID", () => {
+			const list = registryDiff.resolveNodeIDs(broker.registry.getNodeRawList(), broker);
+
+			expect(list.length).toBe(1);
+			expect(list[0].id).toBe("node-1");
+		});
+
+		it("should use the sender of remote nodes", () => {
+			const list = registryDiff.resolveNodeIDs([{ sender: "node-2", instanceID: "abc", services: [] }], broker);
+
+			expect(list[0].id).toBe("node-2");
+		});
+
+		it("should keep the ID of new snapshots", () => {
+			const list = registryDiff.resolveNodeIDs([{ id: "node-3", services: [] }], broker);
+
+			expect(list[0].id).toBe("node-3");
+		});
+
+		it("should use the local node if the instance is unknown", () => {
+			const list = registryDiff.resolveNodeIDs([{ instanceID: "previous-run", services: [] }], broker);
+
+			expect(list[0].id).toBe("node-1");
+		});
+	});
+
+	describe("Test diffNodes with a legacy raw snapshot", () => {
+		// Saved by `nodes --save` (`getNodeRawList`), the local node has no `id` & `sender`
+		const getLegacySnapshot = () => JSON.parse(JSON.stringify(broker.registry.getNodeRawList()));
+
+		it("should not find differences", () => {
+			const snapshot = registryDiff.resolveNodeIDs(getLegacySnapshot(), broker);
+			const diff = registryDiff.diffNodes(snapshot, registryDiff.getRegistrySnapshot(broker));
+
+			expect(diff).toEqual({ added: [], removed: [], changed: [] });
+		});
+
+		it("should detect the changed services of the local node", () => {
+			const snapshot = registryDiff.resolveNodeIDs(getLegacySnapshot().map(node => Object.assign(node, { instanceID: "previous-run" })), broker);
+			const svc = broker.createService({ name: "greeter", actions: { hello() {} } });
+
+			return broker.Promise.delay(100).then(() => {
+				const diff = registryDiff.diffNodes(snapshot, registryDiff.getRegistrySnapshot(broker));
+
+				expect(diff.added).toEqual([]);
+				expect(diff.removed).toEqual([]);
+				expect(diff.changed.length).toBe(1);
+				expect(diff.changed[0].nodeID).toBe("node-1");
+				expect(diff.changed[0].services.added).toEqual(["greeter"]);
+
+				return broker.destroyService(svc);
+			});
+		});
+	});
+});
@@ -0,0 +1,194 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const net = require("net");
+const path = require("path");
+const Vorpal = require("@moleculer/vorpal");
+const { createServer } = require("../../src/remote");
+
+// The sessions require `AsyncLocalStorage` (Node.js >= 12.17)
+const describeSessions = require("async_hooks").AsyncLocalStorage ? describe : describe.skip;
+
+/**
+ * Connect a test client which collects the messages of the server.
+ *
+ * @param {String} socketPath
+ * @returns {Object}
+ */
+function createClient(socketPath) {
+	const socket = net.connect(socketPath);
+	const messages = [];
+	const waiters = [];
+	let buffer = "";
+
+	const check = () => {
+		waiters.slice().forEach(waiter => {
+			const idx = messages.findIndex(waiter.test);
+			if (idx !== -1) {
+				waiters.splice(waiters.indexOf(waiter), 1);
+				waiter.resolve(messages.splice(idx, 1)[0]);
+			}
+		});
+	};
+
+	socket.setEncoding("utf8");
+	socket.on("data", chunk => {
+		buffer += chunk;
+		let idx;
+		while ((idx = buffer.indexOf("\n")) !== -1) {
+			messages.push(JSON.parse(buffer.substring(0, idx)));
+			buffer = buffer.substring(idx + 1);
+		}
+		check();
+	});
+
+	return {
+		socket,
+		send: msg => socket.write(JSON.stringify(msg) + "\n"),
+		next: test => new Promise(resolve => {
+			waiters.push({ test, resolve });
+			check();
+		}),
+		closed: () => new Promise(resolve => socket.destroyed ? resolve() : socket.once("close", resolve))
+	};
+}
+
+describeSessions("Test remote server", () => {
+	const socketPath = path.join(os.tmpdir(), `repl-remote-${process.pid}.sock`);
+	const filePath = path.join(os.tmpdir(), `repl-remote-${process.pid}.txt`);
+	const broker = { nodeID: "node-1" };
+	const vorpal = new Vorpal();
+	const cancelled = [];
+	let server;
+
+	vorpal.command("echo <text>", "Print a text").action((args, done) => {
+		console.log(args.text);
+		done();
+	});
+	vorpal.command("fail", "Fail").action((args, done) => done("Failed"));
+	vorpal.command("wait <name>", "Wait until cancelled")
+		.cancel(function() {
+			cancelled.push(this.args ? this.args.name : true);
+		})
+		.action(() => {});
+
+	beforeAll(() => {
+		jest.spyOn(console, "log").mockImplementation(() => {});
+		fs.writeFileSync(filePath, "data", "utf8");
+		return createServer(vorpal, broker, { path: socketPath, secret: "s3cr3t", delimiter: "mol $" }).then(res => server = res);
+	});
+
+	afterAll(done => {
+		jest.restoreAllMocks();
+		fs.unlinkSync(filePath);
+		server.close(done);
+	});
+
+	const connect = () => {
+		const client = createClient(socketPath);
+		client.send({ type: "hello", secret: "s3cr3t", columns: 120 });
+		return client.next(msg => msg.type == "ready").then(msg => Object.assign(client, { ready: msg }));
+	};
+
+	it("should reject the wrong secret", () => {
+		const client = createClient(socketPath);
+		client.send({ type: "hello", secret: "wrong" });
+		return client.next(msg => msg.type == "error").then(msg => {
+			expect(msg.message).toBe("Authentication failed.");
+			return client.closed();
+		});
+	});
+
+	it("should send the command definitions", () => {
+		return connect().then(client => {
+			expect(client.ready.nodeID).toBe("node-1");
+			expect(client.ready.delimiter).toBe("mol $");
+
+			const names = client.ready.commands.map(cmd => cmd.name);
+			expect(names).toEqual(expect.arrayContaining(["echo", "fail", "wait"]));
+			expect(names).not.toContain("help");
+			expect(client.ready.commands.find(cmd => cmd.name == "echo").command).toBe("echo <text>");
+
+			client.socket.destroy();
+		});
+	});
+
+	it("should send the output of the command to the session", () => {
+		return connect().then(client => {
+			client.send({ type: "exec", id: 1, command: "echo hello" });
+			return Promise.all([
+				client.next(msg => msg.type == "output"),
+				client.next(msg => msg.type == "done")
+			]).then(([out, done]) => {
+				expect(out).toEqual({ type: "output", data: "hello\n" });
+				expect(done).toEqual({ type: "done", id: 1, error: false });
+				client.socket.destroy();
+			});
+		});
+	});
+
+	it("should send the error of the command", () => {
+		return connect().then(client => {
+			client.send({ type: "exec", id: 2, command: "fail" });
+			return client.next(msg => msg.type == "done").then(done => {
+				expect(done).toEqual({ type: "done", id: 2, error: true });
+				client.socket.destroy();
+			});
+		});
+	});
+
+	it("should not execute the local commands", () => {
+		return connect().then(client => {
+			client.send({ type: "exec", id: 3, command: "help" });
+			return Promise.all([
+				client.next(msg => msg.type == "output"),
+				client.next(msg => msg.type == "done")
+			]).then(([out, done]) => {
+				expect(out.data).toMatch("The 'help' command is not available in remote sessions.");
+				expect(done).toEqual({ type: "done", id: 3, error: true });
+				client.socket.destroy();
+			});
+		});
+	});
+
+	it("should cancel only the own command of the session", () => {
+		return Promise.all([connect(), connect()]).then(([clientA, clientB]) => {
+			clientA.send({ type: "exec", id: 4, command: "wait a" });
+			clientB.send({ type: "exec", id: 5, command: "echo queued" });
+
+			return new Promise(resolve => setTimeout(resolve, 100))
+				.then(() => {
+					// The command of B is queued, it can't cancel the command of A
+					clientB.send({ type: "cancel" });
+					return new Promise(resolve => setTimeout(resolve, 100));
+				})
+				.then(() => {
+					expect(cancelled).toEqual([]);
+
+					clientA.send({ type: "cancel" });
+					return Promise.all([
+						clientA.next(msg => msg.type == "done"),
+						clientB.next(msg => msg.type == "done")
+					]);
+				})
+				.then(([doneA, doneB]) => {
+					expect(cancelled.length).toBe(1);
+					expect(doneA.id).toBe(4);
+					expect(doneB).toEqual({ type: "done", id: 5, error: false });
+
+					clientA.socket.destroy();
+					clientB.socket.destroy();
+				});
+		});
+	});
+
+	it("should not remove a path which is not a socket", () => {
+		return createServer(vorpal, broker, { path: filePath }).then(() => {
+			throw new Error("Should be rejected");
+		}, err => {
+			expect(err.message).toBe(`The '${filePath}' path exists and it's not a socket. Remove it or use another path.`);
+			expect(fs.readFileSync(filePath, "utf8")).toBe("data");
+		});
+	});
+});
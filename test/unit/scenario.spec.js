@@ -0,0 +1,112 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createScenario, loadScenario, pickItem, getThinkTime } = require("../../src/scenario");
+
+describe("Test scenario", () => {
+	describe("Test createScenario", () => {
+		it("should create the items with default weight & unique names", () => {
+			const scenario = createScenario({
+				name: "Users",
+				actions: [
+					"users.list",
+					{ action: "users.get", weight: 3, params: { id: 5 } },
+					{ action: "users.get", meta: { a: 1 } }
+				]
+			});
+
+			expect(scenario.name).toBe("Users");
+			expect(scenario.totalWeight).toBe(5);
+			expect(scenario.items.map(item => item.name)).toEqual(["users.list", "users.get", "users.get#2"]);
+			expect(scenario.items.map(item => item.weight)).toEqual([1, 3, 1]);
+			expect(scenario.items[2].meta).toEqual({ a: 1 });
+			expect(scenario.items[1].getParams({ iteration: 1 })).toEqual({ id: 5 });
+		});
+
+		it("should render the param templates", () => {
+			const scenario = createScenario({
+				actions: [{ action: "users.create", params: { name: "user-{{ iteration }}", age: "{{ random 18 20 }}", role: "{{ pick admin user }}", tag: "{{ string 6 }}" } }]
+			});
+
+			const params = scenario.items[0].getParams({ iteration: 7 });
+			expect(params.name).toBe("user-7");
+			expect([18, 19, 20]).toContain(params.age);
+			expect(["admin", "user"]).toContain(params.role);
+			expect(params.tag).toMatch(/^[0-9a-f]{6}$/);
+		});
+
+		it("should call the params function", () => {
+			const params = jest.fn(ctx => ({ i: ctx.iteration }));
+			const scenario = createScenario({ actions: [{ action: "a", params }] });
+
+			expect(scenario.items[0].getParams({ iteration: 3 })).toEqual({ i: 3 });
+			expect(params).toHaveBeenCalledTimes(1);
+		});
+
+		it("should normalize the think times", () => {
+			const scenario = createScenario({
+				thinkTime: 100,
+				actions: ["a", { action: "b", thinkTime: [10, 20] }]
+			});
+
+			expect(scenario.items[0].thinkTime).toEqual([100, 100]);
+			expect(scenario.items[1].thinkTime).toEqual([10, 20]);
+		});
+
+		it("should throw error on invalid definitions", () => {
+			expect(() => createScenario({})).toThrow("The scenario must contain an `actions` array.");
+			expect(() => createScenario({ actions: [{ weight: 2 }] })).toThrow("Missing action name in the scenario at index 0.");
+			expect(() => createScenario({ actions: [{ action: "a", weight: 0 }] })).toThrow("Invalid weight of 'a' action: 0");
+			expect(() => createScenario({ thinkTime: [10], actions: ["a"] })).toThrow("Invalid think time: [10].");
+			expect(() => createScenario({ actions: [{ action: "a", params: { id: "{{ nope }}" } }] })).toThrow("Unknown generator 'nope'.");
+		});
+	});
+
+	describe("Test loadScenario", () => {
+		const fName = path.join(os.tmpdir(), `repl-scenario-${process.pid}.json`);
+
+		afterAll(() => fs.unlinkSync(fName));
+
+		it("should load a JSON file & use the filename as name", () => {
+			fs.writeFileSync(fName, JSON.stringify({ actions: ["users.list"] }), "utf8");
+
+			const scenario = loadScenario(fName);
+			expect(scenario.name).toBe(path.basename(fName));
+			expect(scenario.items.length).toBe(1);
+		});
+
+		it("should throw error if the file is not found", () => {
+			expect(() => loadScenario(fName + ".missing")).toThrow("Scenario file not found:");
+		});
+	});
+
+	describe("Test pickItem", () => {
+		const scenario = createScenario({ actions: [{ action: "a", weight: 1 }, { action: "b", weight: 3 }] });
+
+		afterEach(() => jest.restoreAllMocks());
+
+		it("should pick the items by the weights", () => {
+			jest.spyOn(Math, "random").mockReturnValue(0.2);
+			expect(pickItem(scenario).name).toBe("a");
+
+			Math.random.mockReturnValue(0.25);
+			expect(pickItem(scenario).name).toBe("b");
+
+			Math.random.mockReturnValue(0.99);
+			expect(pickItem(scenario).name).toBe("b");
+		});
+	});
+
+	describe("Test getThinkTime", () => {
+		it("should return a time in the range", () => {
+			expect(getThinkTime({ thinkTime: null })).toBe(0);
+			expect(getThinkTime({ thinkTime: [50, 50] })).toBe(50);
+
+			const time = getThinkTime({ thinkTime: [10, 20] });
+			expect(time).toBeGreaterThanOrEqual(10);
+			expect(time).toBeLessThanOrEqual(20);
+		});
+	});
+});
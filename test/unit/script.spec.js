@@ -0,0 +1,85 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Vorpal = require("@moleculer/vorpal");
+const { parseScript, runScript } = require("../../src/script");
+
+describe("Test script", () => {
+	describe("Test parseScript", () => {
+		it("should skip the empty lines & comments", () => {
+			expect(parseScript("call greeter.hello\r\n\n  # comment\n// comment\n  emit user.created  \n")).toEqual([
+				{ line: 1, command: "call greeter.hello" },
+				{ line: 5, command: "emit user.created" }
+			]);
+		});
+
+		it("should return an empty list", () => {
+			expect(parseScript("")).toEqual([]);
+		});
+	});
+
+	describe("Test runScript", () => {
+		const fName = path.join(os.tmpdir(), `repl-script-${process.pid}.txt`);
+		const vorpal = new Vorpal();
+		const executed = [];
+
+		vorpal.command("ok <name>").action((args, done) => {
+			executed.push(args.name);
+			done();
+		});
+		vorpal.command("fail").action((args, done) => {
+			executed.push("fail");
+			done("Failed");
+		});
+
+		beforeAll(() => {
+			jest.spyOn(console, "log").mockImplementation(() => {});
+			jest.spyOn(console, "error").mockImplementation(() => {});
+		});
+
+		beforeEach(() => executed.length = 0);
+
+		afterAll(() => {
+			jest.restoreAllMocks();
+			if (fs.existsSync(fName))
+				fs.unlinkSync(fName);
+		});
+
+		const run = content => {
+			fs.writeFileSync(fName, content, "utf8");
+			return runScript(vorpal, fName, { delimiter: "mol $" });
+		};
+
+		it("should execute all commands", () => {
+			return run("ok first\n# comment\nok second\n").then(res => {
+				expect(res).toBe(true);
+				expect(executed).toEqual(["first", "second"]);
+			});
+		});
+
+		it("should stop at the first failed command", () => {
+			return run("ok first\nfail\nok second\n").then(res => {
+				expect(res).toBe(false);
+				expect(executed).toEqual(["first", "fail"]);
+				expect(console.error).toHaveBeenCalledWith(expect.stringContaining("Script failed at line 2:"), "fail");
+			});
+		});
+
+		it("should not execute anything if a command is unknown", () => {
+			return run("ok first\nunknown command\n").then(res => {
+				expect(res).toBe(false);
+				expect(executed).toEqual([]);
+				expect(console.error).toHaveBeenCalledWith(expect.stringContaining("Unknown command in"), "unknown command");
+			});
+		});
+
+		it("should fail if the file is not found", () => {
+			return runScript(vorpal, fName + ".missing", {}).then(res => {
+				expect(res).toBe(false);
+				expect(executed).toEqual([]);
+			});
+		});
+	});
+});
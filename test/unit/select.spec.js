@@ -0,0 +1,89 @@
+"use strict";
+
+const { parseSelector, select, limitDepth } = require("../../src/select");
+
+describe("Test select", () => {
+	const res = {
+		total: 3,
+		rows: [
+			{ id: 1, name: "John", address: { city: "Paris" }, tags: ["a", "b"] },
+			{ id: 2, name: "Jane", address: { city: "Rome" }, tags: ["c"] },
+			{ id: 3, name: "Adam", address: { city: "Berlin" }, tags: [] }
+		]
+	};
+
+	describe("Test parseSelector", () => {
+		it("should parse keys, indexes & slices", () => {
+			expect(parseSelector("rows[-1].name")).toEqual([
+				{ type: "key", name: "rows" },
+				{ type: "index", index: -1 },
+				{ type: "key", name: "name" }
+			]);
+			expect(parseSelector("rows[1:]")).toEqual([
+				{ type: "key", name: "rows" },
+				{ type: "slice", start: 1, end: undefined }
+			]);
+		});
+
+		it("should parse wildcards & projections", () => {
+			expect(parseSelector("rows[*].{id, city: address.city}")).toEqual([
+				{ type: "key", name: "rows" },
+				{ type: "wildcard" },
+				{ type: "projection", fields: [
+					{ name: "id", path: [{ type: "key", name: "id" }] },
+					{ name: "city", path: [{ type: "key", name: "address" }, { type: "key", name: "city" }] }
+				] }
+			]);
+			expect(parseSelector("rows.*")).toEqual(parseSelector("rows[]"));
+		});
+
+		it("should throw error on invalid expressions", () => {
+			expect(() => parseSelector("rows[1")).toThrow("missing ']'");
+			expect(() => parseSelector("rows[a]")).toThrow("invalid index 'a'");
+			expect(() => parseSelector("{id, name")).toThrow("missing '}'");
+		});
+	});
+
+	describe("Test select", () => {
+		it("should select a property & an array item", () => {
+			expect(select(res, "total")).toBe(3);
+			expect(select(res, "rows[0].address.city")).toBe("Paris");
+			expect(select(res, "rows[-1].name")).toBe("Adam");
+			expect(select(res, "rows[5].name")).toBeUndefined();
+			expect(select(res, "missing.name")).toBeUndefined();
+		});
+
+		it("should apply the segments to every item after a wildcard or slice", () => {
+			expect(select(res, "rows[*].name")).toEqual(["John", "Jane", "Adam"]);
+			expect(select(res, "rows[1:].id")).toEqual([2, 3]);
+			expect(select(res, "rows[*].tags[*]")).toEqual(["a", "b", "c"]);
+			expect(select(res.rows[0], "address.*")).toEqual(["Paris"]);
+		});
+
+		it("should project fields", () => {
+			expect(select(res, "rows[:2].{id, city: address.city}")).toEqual([
+				{ id: 1, city: "Paris" },
+				{ id: 2, city: "Rome" }
+			]);
+		});
+
+		it("should accept parsed segments", () => {
+			expect(select(res, parseSelector("rows[1].id"))).toBe(2);
+		});
+	});
+
+	describe("Test limitDepth", () => {
+		it("should replace the nested objects & arrays below the depth", () => {
+			expect(limitDepth(res, 1)).toEqual({
+				total: 3,
+				rows: ["[Object]", "[Object]", "[Object]"]
+			});
+			expect(limitDepth(res.rows[0], 0)).toEqual({ id: 1, name: "John", address: "[Object]", tags: "[Array]" });
+		});
+
+		it("should keep the primitive values", () => {
+			expect(limitDepth("text", 0)).toBe("text");
+			expect(limitDepth(null, 0)).toBeNull();
+		});
+	});
+});
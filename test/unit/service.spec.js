@@ -0,0 +1,94 @@
+"use strict";
+
+const kleur = require("kleur");
+const { ServiceBroker } = require("moleculer");
+const { maskSecrets } = require("../../src/commands/service");
+const { getServiceDependencies } = require("../../src/graph");
+const { printHeader, print } = require("../../src/utils");
+
+describe("Test service inspector", () => {
+	describe("Test maskSecrets", () => {
+		it("should mask the values of the secret keys", () => {
+			expect(maskSecrets({
+				port: 3000,
+				password: "pass",
+				apiKey: 0,
+				api_key: false,
+				token: null,
+				db: { uri: "mongodb://localhost", credentials: { user: "admin", pass: "x" } },
+				list: [{ secret: "s" }, "text"]
+			})).toEqual({
+				port: 3000,
+				password: "********",
+				apiKey: "********",
+				api_key: "********",
+				token: null,
+				db: { uri: "mongodb://localhost", credentials: "********" },
+				list: [{ secret: "********" }, "text"]
+			});
+		});
+
+		it("should keep the other values", () => {
+			expect(maskSecrets("text")).toBe("text");
+			expect(maskSecrets(undefined)).toBeUndefined();
+		});
+	});
+
+	describe("Test getServiceDependencies", () => {
+		const broker1 = new ServiceBroker({ nodeID: "node-1", transporter: "Fake", logger: false });
+		const broker2 = new ServiceBroker({ nodeID: "node-2", transporter: "Fake", logger: false });
+
+		broker1.createService({ name: "users" });
+		broker1.createService({ name: "auth", version: 1 });
+		broker1.createService({ name: "posts", dependencies: ["users"] });
+		broker2.createService({ name: "mail", version: 2, dependencies: [{ name: "users" }, { name: "auth", version: 1 }] });
+
+		beforeAll(() => Promise.all([broker1.start(), broker2.start()]).then(() => broker1.Promise.delay(200)));
+		afterAll(() => Promise.all([broker1.stop(), broker2.stop()]));
+
+		it("should get the dependencies of the local services", () => {
+			expect(getServiceDependencies(broker1, { nodeID: "node-1", fullName: "posts" })).toEqual(["users"]);
+			expect(getServiceDependencies(broker1, { nodeID: "node-1", fullName: "users" })).toEqual([]);
+		});
+
+		it("should get the dependencies of the remote services", () => {
+			// This Moleculer version doesn't send the dependencies in the INFO packet
+			const info = broker1.registry.getNodeInfo("node-2");
+			info.services.find(svc => svc.fullName == "v2.mail").dependencies = [{ name: "users" }, { name: "auth", version: 1 }];
+
+			expect(getServiceDependencies(broker1, { nodeID: "node-2", fullName: "v2.mail" })).toEqual(["users", "v1.auth"]);
+		});
+
+		it("should return null if the service is not found", () => {
+			expect(getServiceDependencies(broker1, { nodeID: "node-1", fullName: "missing" })).toBeNull();
+			expect(getServiceDependencies(broker1, { nodeID: "node-2", fullName: "missing" })).toBeNull();
+			expect(getServiceDependencies(broker1, { nodeID: "node-3", fullName: "mail" })).toBeNull();
+		});
+	});
+
+	describe("Test printHeader & print", () => {
+		beforeEach(() => jest.spyOn(console, "log").mockImplementation(() => {}));
+		afterEach(() => jest.restoreAllMocks());
+
+		it("should print the header", () => {
+			printHeader("Service 'posts'");
+
+			expect(console.log.mock.calls).toEqual([
+				[kleur.yellow().bold("===================")],
+				[kleur.yellow().bold("  Service 'posts'  ")],
+				[kleur.yellow().bold("===================")],
+				[""]
+			]);
+		});
+
+		it("should print the caption & value", () => {
+			print("Name", "posts");
+			print("Settings");
+
+			expect(console.log.mock.calls).toEqual([
+				["   ", "Name                     : " + kleur.bold("posts")],
+				["   ", "Settings                 "]
+			]);
+		});
+	});
+});
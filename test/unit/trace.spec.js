@@ -0,0 +1,97 @@
+"use strict";
+
+const { ServiceBroker } = require("moleculer");
+const { createTraceCollector, flattenTree, printTrace } = require("../../src/trace");
+const { stripAnsi } = require("../../src/utils");
+
+describe("Test trace", () => {
+	describe("Test flattenTree", () => {
+		it("should order the spans as a tree", () => {
+			const spans = [
+				{ id: "c", parentID: "a", startTime: 3 },
+				{ id: "b", parentID: "a", startTime: 2 },
+				{ id: "a", parentID: "caller", startTime: 1 },
+				{ id: "d", parentID: "b", startTime: 4 }
+			];
+
+			expect(flattenTree(spans).map(item => [item.span.id, item.level])).toEqual([
+				["a", 0],
+				["b", 1],
+				["d", 2],
+				["c", 1]
+			]);
+		});
+
+		it("should put the orphan spans to the root", () => {
+			const spans = [
+				{ id: "b", parentID: "unknown", startTime: 2 },
+				{ id: "a", startTime: 1 }
+			];
+
+			expect(flattenTree(spans).map(item => [item.span.id, item.level])).toEqual([
+				["a", 0],
+				["b", 0]
+			]);
+		});
+	});
+
+	describe("Test createTraceCollector", () => {
+		const broker = new ServiceBroker({ logger: false, tracing: { enabled: true, exporter: [] } });
+
+		broker.createService({
+			name: "math",
+			actions: {
+				add(ctx) {
+					return ctx.call("math.double", { value: ctx.params.a + ctx.params.b });
+				},
+				double(ctx) {
+					return ctx.params.value * 2;
+				}
+			}
+		});
+
+		beforeAll(() => broker.start());
+		afterAll(() => broker.stop());
+
+		it("should collect the spans of the trace", () => {
+			const collector = createTraceCollector(broker, "trace-1");
+
+			return broker.call("math.add", { a: 1, b: 2 }, { requestID: "trace-1" })
+				.then(res => {
+					expect(res).toBe(6);
+					return broker.call("math.double", { value: 1 }, { requestID: "trace-2" });
+				})
+				.then(() => collector.stop())
+				.then(spans => {
+					expect(spans.map(span => span.name).sort()).toEqual(["action 'math.add'", "action 'math.double'"]);
+					expect(spans.every(span => span.traceID == "trace-1")).toBe(true);
+					expect(broker.tracer.exporter).toEqual([]);
+					expect(broker.getLocalService("$repl-tracing")).toBeUndefined();
+				});
+		});
+	});
+
+	describe("Test printTrace", () => {
+		let output;
+
+		beforeAll(() => jest.spyOn(console, "log").mockImplementation((...args) => output.push(stripAnsi(args.join(" ")))));
+		beforeEach(() => output = []);
+		afterAll(() => jest.restoreAllMocks());
+
+		it("should print the waterfall tree", () => {
+			printTrace([
+				{ id: "a", traceID: "t1", name: "action 'math.add'", startTime: 0, finishTime: 100, duration: 100, service: { name: "math" }, tags: { action: { name: "math.add" }, nodeID: "node-1" } },
+				{ id: "b", traceID: "t1", parentID: "a", name: "action 'math.double'", startTime: 50, finishTime: 100, duration: 50, error: { name: "MoleculerError", message: "Failed" }, tags: {} }
+			]);
+
+			expect(output[0]).toBe(">> Trace 't1' (2 spans, 100ms):");
+			expect(output[1]).toMatch(/action 'math\.add' .*math .*math\.add .*node-1 .*■{30}/);
+			expect(output[1]).toMatch(/└ action 'math\.double' .* {16}■{15} .* 50ms .*MoleculerError:/);
+		});
+
+		it("should print a message without spans", () => {
+			printTrace([]);
+			expect(output).toEqual([">> No spans received."]);
+		});
+	});
+});
@@ -0,0 +1,75 @@
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const yaml = require("js-yaml");
+const { formatRows, validateFormat, printOutput, stripAnsi, OUTPUT_FORMATS } = require("../../src/utils");
+
+describe("Test utils", () => {
+	const rows = [
+		{ name: "greeter.hello", nodes: 2, tags: ["a", "b"] },
+		{ name: "users, \"admins\"", nodes: 1, state: null, text: "multi\nline" }
+	];
+
+	describe("Test formatRows", () => {
+		it("should format to JSON", () => {
+			expect(JSON.parse(formatRows(rows, "json"))).toEqual(rows);
+		});
+
+		it("should format to CSV with the keys of all rows", () => {
+			expect(formatRows(rows, "csv")).toBe([
+				"name,nodes,tags,state,text",
+				"greeter.hello,2,\"[\"\"a\"\",\"\"b\"\"]\",,",
+				"\"users, \"\"admins\"\"\",1,,,\"multi\nline\"",
+				""
+			].join("\n"));
+		});
+
+		it("should format empty list to CSV", () => {
+			expect(formatRows([], "csv")).toBe("\n");
+		});
+
+		it("should format to YAML", () => {
+			expect(yaml.safeLoad(formatRows(rows, "yaml"))).toEqual(rows);
+		});
+
+		it("should throw error on unknown format", () => {
+			expect(() => formatRows(rows, "xml")).toThrow("Unknown output format 'xml'");
+		});
+	});
+
+	describe("Test validateFormat", () => {
+		it("should accept the known formats", () => {
+			expect(OUTPUT_FORMATS).toEqual(["table", "json", "csv", "yaml"]);
+			expect(validateFormat({ options: {} })).toBe(true);
+			OUTPUT_FORMATS.forEach(format => expect(validateFormat({ options: { format } })).toBe(true));
+		});
+
+		it("should reject the unknown formats", () => {
+			expect(stripAnsi(validateFormat({ options: { format: "xml" } }))).toBe("Invalid output format 'xml'. Available formats: table, json, csv, yaml");
+		});
+	});
+
+	describe("Test printOutput", () => {
+		const fName = path.join(os.tmpdir(), `repl-output-${process.pid}.txt`);
+
+		beforeAll(() => jest.spyOn(console, "log").mockImplementation(() => {}));
+		afterAll(() => {
+			jest.restoreAllMocks();
+			if (fs.existsSync(fName))
+				fs.unlinkSync(fName);
+		});
+
+		it("should print to the console", () => {
+			printOutput("\u001b[1mtext\u001b[22m");
+			expect(console.log).toHaveBeenLastCalledWith("\u001b[1mtext\u001b[22m");
+		});
+
+		it("should save to a file without colors", () => {
+			printOutput("\u001b[1mtext\u001b[22m", fName);
+			expect(fs.readFileSync(fName, "utf8")).toBe("text");
+			expect(stripAnsi(console.log.mock.calls[console.log.mock.calls.length - 1][0])).toBe(`>> Output has been saved to '${fName}' file.`);
+		});
+	});
+});
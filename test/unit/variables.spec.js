@@ -0,0 +1,117 @@
+"use strict";
+
+const variables = require("../../src/variables");
+const output = require("../../src/output");
+
+// The sessions require `AsyncLocalStorage` (Node.js >= 12.17)
+const describeSessions = require("async_hooks").AsyncLocalStorage ? describe : describe.skip;
+
+describe("Test variables", () => {
+	beforeAll(() => {
+		variables.setVariable("userID", 5);
+		variables.setVariable("name", "John");
+		variables.setLastResponse({ id: 10, items: [{ id: "a" }, { id: "b" }] });
+	});
+
+	describe("Test isValidName", () => {
+		it("should accept only identifiers without '$' prefix", () => {
+			expect(variables.isValidName("userID")).toBe(true);
+			expect(variables.isValidName("_tmp2")).toBe(true);
+			expect(variables.isValidName("$last")).toBe(false);
+			expect(variables.isValidName("2nd")).toBe(false);
+			expect(variables.isValidName("a.b")).toBe(false);
+		});
+	});
+
+	describe("Test resolve", () => {
+		it("should resolve variable expressions", () => {
+			expect(variables.resolve("userID")).toBe(5);
+			expect(variables.resolve("$last.items[1].id")).toBe("b");
+			expect(variables.resolve("$last.missing")).toBeUndefined();
+		});
+
+		it("should throw error if the variable is not defined", () => {
+			expect(() => variables.resolve("unknown.id")).toThrow("Variable 'unknown' is not defined.");
+		});
+	});
+
+	describe("Test interpolate", () => {
+		it("should keep the type of a single template", () => {
+			expect(variables.interpolate("{{ userID }}")).toBe(5);
+			expect(variables.interpolate("{{$last.items[0]}}")).toEqual({ id: "a" });
+		});
+
+		it("should replace the templates in strings", () => {
+			expect(variables.interpolate("Hello {{ name }} ({{ userID }})")).toBe("Hello John (5)");
+			expect(variables.interpolate("first: {{ $last.items[0] }}")).toBe("first: {\"id\":\"a\"}");
+		});
+
+		it("should replace the templates in arrays & objects", () => {
+			expect(variables.interpolate({ id: "{{ userID }}", list: ["{{ name }}", 3], flag: true })).toEqual({ id: 5, list: ["John", 3], flag: true });
+		});
+
+		it("should keep the unknown templates", () => {
+			expect(variables.interpolate("{{ unknown }}")).toBe("{{ unknown }}");
+			expect(variables.interpolate("Hi {{ unknown.name }}, {{ name }}")).toBe("Hi {{ unknown.name }}, John");
+		});
+
+		it("should unescape the escaped templates", () => {
+			expect(variables.interpolate("\\{{ name }} is {{ name }}")).toBe("{{ name }} is John");
+		});
+
+		it("should use the custom evaluator", () => {
+			const evaluate = expr => expr == "x" ? 1 : variables.UNRESOLVED;
+			expect(variables.interpolate("{{ x }} & {{ y }}", evaluate)).toBe("1 & {{ y }}");
+		});
+	});
+
+	describe("Test parseJSON", () => {
+		it("should parse JSON and interpolate the string values", () => {
+			expect(variables.parseJSON("{\"name\": \"{{ name }}\", \"text\": \"{{ name }}!\"}")).toEqual({ name: "John", text: "John!" });
+		});
+
+		it("should accept templates as JSON values", () => {
+			expect(variables.parseJSON("{\"id\": {{ userID }}, \"item\": {{ $last.items[0] }}, \"none\": {{ $last.missing }}}")).toEqual({
+				id: 5,
+				item: { id: "a" },
+				none: null
+			});
+		});
+
+		it("should keep the literal & escaped templates in strings", () => {
+			expect(variables.parseJSON("{\"tpl\": \"{{ unknown }}\", \"esc\": \"\\\\{{ name }}\", \"id\": {{ userID }}}")).toEqual({
+				tpl: "{{ unknown }}",
+				esc: "{{ name }}",
+				id: 5
+			});
+		});
+
+		it("should throw error on unknown template as a JSON value", () => {
+			expect(() => variables.parseJSON("{\"id\": {{ unknown }}}")).toThrow("Variable 'unknown' is not defined.");
+		});
+
+		it("should throw error on invalid JSON", () => {
+			expect(() => variables.parseJSON("{\"id\": 5")).toThrow(SyntaxError);
+		});
+
+		it("should interpolate the non-string values", () => {
+			expect(variables.parseJSON({ id: "{{ userID }}" })).toEqual({ id: 5 });
+		});
+	});
+
+	describeSessions("Test session variables", () => {
+		it("should keep the variables per session", () => {
+			const sessionA = {};
+			const sessionB = {};
+
+			output.run(sessionA, () => variables.setVariable("userID", 100));
+			output.run(sessionB, () => {
+				expect(variables.hasVariable("userID")).toBe(false);
+				expect(variables.interpolate("{{ userID }}")).toBe("{{ userID }}");
+			});
+
+			expect(output.run(sessionA, () => variables.resolve("userID"))).toBe(100);
+			expect(variables.resolve("userID")).toBe(5);
+		});
+	});
+});
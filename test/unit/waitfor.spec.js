@@ -0,0 +1,122 @@
+"use strict";
+
+const { ServiceBroker } = require("moleculer");
+const Vorpal = require("@moleculer/vorpal");
+const registerWaitFor = require("../../src/commands/waitfor");
+const { parseWhere } = registerWaitFor;
+
+describe("Test waitFor", () => {
+	describe("Test parseWhere", () => {
+		const ctx = { nodeID: "node-1", eventName: "user.created", meta: { tenant: "acme" } };
+		const payload = { user: { id: 5, name: "John", admin: false }, status: "active", count: 3 };
+		const test = expr => parseWhere(expr)(payload, ctx);
+
+		it("should compare the payload values", () => {
+			expect(test("user.id == 5")).toBe(true);
+			expect(test("user.id == '5'")).toBe(true);
+			expect(test("status != 'deleted'")).toBe(true);
+			expect(test("count > 2")).toBe(true);
+			expect(test("count >= 4")).toBe(false);
+			expect(test("count < 4")).toBe(true);
+			expect(test("count <= 2")).toBe(false);
+			expect(test("status == active")).toBe(true);
+			expect(test("user.admin == false")).toBe(true);
+		});
+
+		it("should check the truthiness", () => {
+			expect(test("user.name")).toBe(true);
+			expect(test("!user.admin")).toBe(true);
+			expect(test("user.missing")).toBe(false);
+		});
+
+		it("should resolve the context values", () => {
+			expect(test("$nodeID == node-1 && $eventName == 'user.created' && $meta.tenant == acme")).toBe(true);
+			expect(test("$nodeID == node-2")).toBe(false);
+		});
+
+		it("should join the conditions", () => {
+			expect(test("user.id == 5 && status == 'active'")).toBe(true);
+			expect(test("user.id == 5 && status == 'deleted'")).toBe(false);
+		});
+
+		it("should keep the '&&' in the quoted values", () => {
+			const where = parseWhere("name == 'Tom && Jerry' && title == \"a \\\" && b\"");
+			expect(where({ name: "Tom && Jerry", title: "a \" && b" }, ctx)).toBe(true);
+			expect(where({ name: "Tom", title: "a \" && b" }, ctx)).toBe(false);
+		});
+
+		it("should throw error on invalid expressions", () => {
+			expect(() => parseWhere("user.id == 5 && ")).toThrow("Invalid --where condition ''.");
+			expect(() => parseWhere("name == 'Tom")).toThrow("Unterminated string in --where expression");
+		});
+	});
+
+	describe("Test commands", () => {
+		const broker = new ServiceBroker({ nodeID: "node-1", logger: false });
+		const vorpal = new Vorpal();
+		vorpal.removeIfExist = function(command) {
+			const cmd = this.find(command);
+			if (cmd)
+				cmd.remove();
+			return this;
+		};
+		registerWaitFor(vorpal, broker);
+
+		beforeAll(() => {
+			jest.spyOn(console, "log").mockImplementation(() => {});
+			return broker.start();
+		});
+		afterAll(() => {
+			jest.restoreAllMocks();
+			return broker.stop();
+		});
+
+		it("should wait for the matching event", () => {
+			const p = vorpal.exec("waitFor event user.* --where 'user.id == 5'");
+
+			return broker.Promise.delay(50)
+				.then(() => {
+					broker.broadcastLocal("user.created", { user: { id: 4 } });
+					broker.broadcastLocal("user.created", { user: { id: 5 } });
+					return p;
+				})
+				.then(() => {
+					expect(console.log).toHaveBeenCalledWith(expect.stringContaining(">> Event 'user.created' received from 'node-1'"));
+					expect(broker.services.find(svc => svc.name.startsWith("$repl-waitfor"))).toBeUndefined();
+				});
+		});
+
+		it("should time out", () => {
+			return vorpal.exec("waitFor node node-2 --timeout 100").then(() => {
+				throw new Error("Should be rejected");
+			}, () => {
+				expect(console.log).toHaveBeenCalledWith(expect.stringContaining(">> Waiting for 'node-2' node..."));
+			});
+		});
+
+		it("should wait for a service", () => {
+			const p = vorpal.exec("waitFor service posts 2 --timeout 0");
+
+			return broker.Promise.delay(50)
+				.then(() => {
+					broker.createService({ name: "posts", version: 2 });
+					return p;
+				})
+				.then(() => {
+					expect(console.log).toHaveBeenCalledWith(expect.stringContaining(">> Service 'v2.posts' is available."));
+				});
+		});
+
+		it("should stop polling when cancelled", () => {
+			jest.useFakeTimers();
+			const p = vorpal.exec("waitFor service missing --timeout 0");
+
+			expect(jest.getTimerCount()).toBe(1);
+			vorpal.session.cancelCommands();
+			expect(jest.getTimerCount()).toBe(0);
+			jest.useRealTimers();
+
+			return p;
+		});
+	});
+});
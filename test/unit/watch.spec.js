@@ -0,0 +1,110 @@
+"use strict";
+
+const kleur = require("kleur");
+const output = require("../../src/output");
+const { onStopKey, createLiveView } = require("../../src/watch");
+const { createChangeTracker } = require("../../src/commands/nodes");
+
+// The sessions require `AsyncLocalStorage` (Node.js >= 12.17)
+const describeSessions = require("async_hooks").AsyncLocalStorage ? describe : describe.skip;
+
+describe("Test watch", () => {
+	describeSessions("Test onStopKey", () => {
+		it("should call the handler on the stop keys of the session", () => {
+			const session = output.createOutput(() => {}, 80);
+			const handler = jest.fn();
+
+			const stop = output.run(session, () => onStopKey(handler));
+
+			session.keys.emit("keypress", "a", { name: "a" });
+			session.keys.emit("keypress", "q", { name: "q" });
+			session.keys.emit("keypress", null, { name: "escape" });
+			session.keys.emit("keypress", null, { name: "c", ctrl: true });
+			expect(handler).toHaveBeenCalledTimes(3);
+
+			stop();
+			expect(session.keys.listenerCount("keypress")).toBe(0);
+		});
+	});
+
+	describeSessions("Test createLiveView", () => {
+		let written;
+		let session;
+
+		beforeEach(() => {
+			jest.useFakeTimers();
+			written = "";
+			session = output.createOutput(str => written += str, 10);
+		});
+
+		afterEach(() => jest.useRealTimers());
+
+		it("should re-render the output in place", () => {
+			let counter = 0;
+			const render = jest.fn(() => `Line ${++counter}\nLong line ${counter}`);
+			const view = output.run(session, () => createLiveView({ interval: 2, render, onStop: jest.fn() }));
+
+			expect(written).toBe("Line 1\nLong line 1\n");
+
+			written = "";
+			jest.advanceTimersByTime(2000);
+			// Move up the 3 printed lines (the second one is wrapped) & clear the screen
+			expect(written).toBe("\u001b[3A\u001b[0JLine 2\nLong line 2\n");
+
+			written = "";
+			view.log(">> Event");
+			expect(written).toBe("\u001b[3A\u001b[0J>> Event\nLine 3\nLong line 3\n");
+
+			view.stop();
+			jest.advanceTimersByTime(10000);
+			expect(render).toHaveBeenCalledTimes(3);
+		});
+
+		it("should stop on the stop key", () => {
+			const onStop = jest.fn();
+			const render = jest.fn(() => "text");
+			output.run(session, () => createLiveView({ interval: 1, render, onStop }));
+
+			session.keys.emit("keypress", "q", { name: "q" });
+			session.keys.emit("keypress", "q", { name: "q" });
+			expect(onStop).toHaveBeenCalledTimes(1);
+			expect(session.keys.listenerCount("keypress")).toBe(0);
+
+			jest.advanceTimersByTime(5000);
+			expect(render).toHaveBeenCalledTimes(1);
+		});
+	});
+
+	describe("Test createChangeTracker", () => {
+		const createNode = (id, services, available = true) => ({
+			id,
+			available,
+			client: { version: "0.14.0" },
+			services: services.map(name => ({ name }))
+		});
+
+		let now;
+		beforeAll(() => jest.spyOn(Date, "now").mockImplementation(() => now));
+		afterAll(() => jest.restoreAllMocks());
+
+		it("should highlight the changed fields for a while", () => {
+			const tracker = createChangeTracker();
+
+			now = 1000;
+			tracker.update([createNode("node-1", ["math"])]);
+			expect(tracker.highlight("node-1", "services", "math")).toBe("math");
+
+			now = 2000;
+			tracker.update([createNode("node-1", ["math", "posts"], false), createNode("node-2", [])]);
+			expect(tracker.highlight("node-1", "services", "math,posts")).toBe(kleur.inverse("math,posts"));
+			expect(tracker.highlight("node-1", "available", "OFFLINE")).toBe(kleur.inverse("OFFLINE"));
+			expect(tracker.highlight("node-1", "version", "0.14.0")).toBe("0.14.0");
+			// The new nodes are highlighted
+			expect(tracker.highlight("node-2", "version", "0.14.0")).toBe(kleur.inverse("0.14.0"));
+
+			now = 8000;
+			expect(tracker.highlight("node-1", "services", "math,posts")).toBe("math,posts");
+			expect(tracker.highlight("unknown", "services", "-")).toBe("-");
+		});
+	});
+});